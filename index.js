@@ -16,9 +16,13 @@ const BitcoinPay = require('./src/wallet-pay-btc.js')
 const FeeEstimate = require('./src/fee-estimate.js')
 const Provider = require('./src/provider.js')
 const KeyManager = require('./src/wallet-key-btc.js')
+const MultisigKeyManager = require('./src/wallet-key-multisig.js')
+const CoinSelect = require('./src/coin-select/index.js')
 module.exports = {
   BitcoinPay,
   FeeEstimate,
   Provider,
-  KeyManager
+  KeyManager,
+  MultisigKeyManager,
+  CoinSelect
 }
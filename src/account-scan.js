@@ -0,0 +1,100 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+// @desc: receive and change chains of an account, named like HdWallet sync state types
+const CHAINS = [['external', 0], ['internal', 1]]
+
+/**
+* @description Walks the receive and change paths of one BIP44 style account until the gap limit is reached.
+* It has the same callback interface as HdWallet.eachAccount, so SyncManager.syncAccount can sync accounts
+* other than the one HdWallet is set up with. Addresses found with history are kept in the store of the account.
+* @param {Object} config
+* @param {Object} config.store store instance of the account
+* @param {string} config.purpose purpose of the account. example: 84'
+* @param {string} config.coinType coin type. example: 0'
+* @param {number} config.account account index
+* @param {number} config.gapLimit number of unused addresses before a chain is done
+*/
+class AccountScan {
+  static signal = {
+    hasTx: Symbol('hasTx'),
+    noTx: Symbol('noTx'),
+    stop: Symbol('stop')
+  }
+
+  constructor (config) {
+    this.store = config.store
+    this.purpose = config.purpose
+    this.coinType = config.coinType
+    this.account = config.account
+    this.gapLimit = config.gapLimit
+  }
+
+  init () {
+    return this.store.init()
+  }
+
+  close () {
+    return this.store.close()
+  }
+
+  /**
+  * @param {Object} addr address object of the key manager
+  */
+  addAddress (addr) {
+    return this.store.put(addr.address, addr)
+  }
+
+  /**
+  * @param {string} address
+  * @returns {Promise<Object|undefined>} address object, if the address is in this account
+  */
+  getAddress (address) {
+    return this.store.get(address)
+  }
+
+  /**
+  * @returns {Promise<Array<string>>} addresses of the account with history
+  */
+  async getAllAddress () {
+    const addrs = []
+    await this.store.entries(async (address) => {
+      addrs.push(address)
+    })
+    return addrs
+  }
+
+  get path () {
+    return `m/${this.purpose}/${this.coinType}/${this.account}'`
+  }
+
+  /**
+  * @param {function} fn called with sync state and signal for every path. returns one of the signals
+  */
+  async eachAccount (fn) {
+    const { signal } = AccountScan
+    for (const [addrType, change] of CHAINS) {
+      let gap = 0
+      for (let index = 0; gap < this.gapLimit; index++) {
+        const path = `${this.path}/${change}/${index}`
+        const res = await fn({ _addrType: addrType, path, toJSON: () => ({ addrType, path, gap }) }, signal)
+        if (res === signal.stop) return
+        gap = res === signal.hasTx ? 0 : gap + 1
+      }
+    }
+  }
+}
+
+module.exports = AccountScan
@@ -47,6 +47,16 @@ class Balance {
     this.txid[state].push([txid, amount])
   }
 
+  removeTxid (txid) {
+    for (const state in this.txid) {
+      this.txid[state] = this.txid[state].filter(([tx, amount]) => {
+        if (tx !== txid) return true
+        this.minusBalance(state, new Bitcoin(amount))
+        return false
+      })
+    }
+  }
+
   getTx (state, key) {
     return this.txid[state].filter(([tx]) => {
       return tx === key
@@ -161,6 +171,25 @@ class AddressManager {
     return this.history.get(`tx:${txid}`)
   }
 
+  /**
+  * @desc get a transaction entry from history store
+  */
+  async getTx (txid) {
+    const height = await this.getHeight(txid)
+    if (height === null || height === undefined) return null
+    return this.history.get(`i:${height}:${txid}`)
+  }
+
+  /**
+  * @desc remove a transaction from history store. Used when a transaction has been replaced
+  */
+  async removeTx (txid) {
+    const height = await this.getHeight(txid)
+    if (height === null || height === undefined) return
+    await this.history.delete(`i:${height}:${txid}`)
+    await this.history.delete(`tx:${txid}`)
+  }
+
   async storeTx (tx) {
     await this.history.delete(`i:0:${tx.txid}`, tx)
     await this.history.delete(`i:${tx.height-1}:${tx.txid}`, tx)
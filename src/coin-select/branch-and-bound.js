@@ -0,0 +1,81 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { utxoValue, baseFee, inputFee } = require('./utils.js')
+const singleRandomDraw = require('./single-random-draw.js')
+
+const MAX_TRIES = 100000
+
+/**
+* @description Branch and bound selection. Searches for a set of utxo that pays amount and fees
+* without a change output. The excess must stay below opts.costOfChange, it is added to the fee.
+* Falls back to single random draw when no changeless solution is found.
+* @param {Array<Object>} utxos spendable utxo
+* @param {number} amount amount in sats
+* @param {Object} opts selection options
+* @param {number} [opts.costOfChange=0] max excess in sats that is dropped to fee
+* @returns {Array<Object>} selected utxo
+*/
+function branchAndBound (utxos, amount, opts = {}) {
+  const target = amount + baseFee(opts, false)
+  const window = opts.costOfChange || 0
+  const pool = utxos.map((utxo) => {
+    return { utxo, value: utxoValue(utxo) - inputFee(opts) }
+  }).filter(({ value }) => value > 0).sort((a, b) => b.value - a.value)
+
+  // incl[i] is true when pool[i] is part of current selection
+  const incl = []
+  let value = 0
+  let available = pool.reduce((sum, { value }) => sum + value, 0)
+  let best = null
+  let bestExcess = Infinity
+
+  for (let tries = 0; tries < MAX_TRIES; tries++) {
+    let backtrack = false
+    if (value + available < target || value > target + window) {
+      backtrack = true
+    } else if (value >= target) {
+      backtrack = true
+      const excess = value - target
+      if (excess < bestExcess) {
+        best = incl.slice()
+        bestExcess = excess
+        if (excess === 0) break
+      }
+    }
+
+    if (!backtrack) {
+      const i = incl.length
+      available -= pool[i].value
+      value += pool[i].value
+      incl.push(true)
+      continue
+    }
+
+    // Walk back to the last included utxo and try the branch without it
+    while (incl.length > 0 && !incl[incl.length - 1]) {
+      incl.pop()
+      available += pool[incl.length].value
+    }
+    if (incl.length === 0) break
+    incl[incl.length - 1] = false
+    value -= pool[incl.length - 1].value
+  }
+
+  if (!best) return singleRandomDraw(utxos, amount, opts)
+  return pool.filter((_, i) => best[i]).map(({ utxo }) => utxo)
+}
+
+module.exports = branchAndBound
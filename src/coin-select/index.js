@@ -0,0 +1,68 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const smallToLarge = require('./small-to-large.js')
+const largestFirst = require('./largest-first.js')
+const branchAndBound = require('./branch-and-bound.js')
+const singleRandomDraw = require('./single-random-draw.js')
+const oldestFirst = require('./oldest-first.js')
+
+/**
+* @description Coin selection strategies.
+* A strategy is a function (utxos, amount, opts) => Array<utxo> where:
+* - utxos: spendable utxo from unspent store. Locked and spent utxo are already removed.
+* - amount: amount to send in sats, without fees.
+* - opts: { feeRate, outputs, costOfChange } fee rate in sat/vbyte, number of recipients and
+*   the excess in sats that can be dropped to fee instead of creating change.
+* It returns the selected utxo. Returning less than needed fails the selection with insufficient funds.
+**/
+const strategies = {
+  'small-to-large': smallToLarge,
+  'largest-first': largestFirst,
+  'branch-and-bound': branchAndBound,
+  'single-random-draw': singleRandomDraw,
+  'oldest-first': oldestFirst
+}
+
+const DEFAULT_STRATEGY = 'small-to-large'
+
+/**
+* @description get a coin selection strategy
+* @param {string|function} [strategy] name of a registered strategy or a strategy function
+* @returns {function}
+*/
+function getStrategy (strategy = DEFAULT_STRATEGY) {
+  if (typeof strategy === 'function') return strategy
+  const fn = strategies[strategy]
+  if (!fn) throw new Error('Invalid coin selection strategy ' + strategy)
+  return fn
+}
+
+/**
+* @description register a custom coin selection strategy
+* @param {string} name strategy name
+* @param {function} fn strategy function
+*/
+function addStrategy (name, fn) {
+  if (typeof fn !== 'function') throw new Error('Coin selection strategy must be a function')
+  strategies[name] = fn
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  strategies,
+  getStrategy,
+  addStrategy
+}
@@ -0,0 +1,40 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { accumulate } = require('./utils.js')
+
+/**
+* @description block height of a utxo. mempool utxo (height 0) are the newest
+*/
+function utxoHeight (utxo) {
+  return utxo.height || Infinity
+}
+
+/**
+* @description spend utxo with the lowest block height first
+* @param {Array<Object>} utxos spendable utxo
+* @param {number} amount amount in sats
+* @param {Object} opts selection options
+* @returns {Array<Object>} selected utxo
+*/
+function oldestFirst (utxos, amount, opts) {
+  const sorted = [...utxos].sort((a, b) => {
+    const diff = utxoHeight(a) - utxoHeight(b)
+    return Number.isNaN(diff) ? 0 : diff
+  })
+  return accumulate(sorted, amount, opts)
+}
+
+module.exports = oldestFirst
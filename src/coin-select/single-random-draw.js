@@ -0,0 +1,39 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { accumulate } = require('./utils.js')
+
+/**
+* @description spend utxo in random order until amount is covered
+* @param {Array<Object>} utxos spendable utxo
+* @param {number} amount amount in sats
+* @param {Object} opts selection options
+* @param {function} [opts.random=Math.random] random number generator
+* @returns {Array<Object>} selected utxo
+*/
+function singleRandomDraw (utxos, amount, opts = {}) {
+  const random = opts.random || Math.random
+  const shuffled = [...utxos]
+  // Fisher-Yates shuffle
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const tmp = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = tmp
+  }
+  return accumulate(shuffled, amount, opts)
+}
+
+module.exports = singleRandomDraw
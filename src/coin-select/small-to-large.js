@@ -0,0 +1,30 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { utxoValue, accumulate } = require('./utils.js')
+
+/**
+* @description spend smallest utxo first. Consolidates small outputs over time
+* @param {Array<Object>} utxos spendable utxo
+* @param {number} amount amount in sats
+* @param {Object} opts selection options
+* @returns {Array<Object>} selected utxo
+*/
+function smallToLarge (utxos, amount, opts) {
+  const sorted = [...utxos].sort((a, b) => utxoValue(a) - utxoValue(b))
+  return accumulate(sorted, amount, opts)
+}
+
+module.exports = smallToLarge
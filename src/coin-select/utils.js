@@ -0,0 +1,79 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// @desc: Approximate vsize of P2WPKH transaction parts, used to estimate fees while selecting coins
+const TX_OVERHEAD_VSIZE = 11
+const INPUT_VSIZE = 68
+const OUTPUT_VSIZE = 31
+
+/**
+* @description value of a utxo in sats
+* @param {Object} utxo utxo from unspent store
+* @returns {number}
+*/
+function utxoValue (utxo) {
+  return +utxo.value.toBaseUnit()
+}
+
+/**
+* @description fee in sats for the parts of a tx that are not inputs
+* @param {Object} opts selection options
+* @param {number} [opts.feeRate=0] fee rate in sat/vbyte
+* @param {number} [opts.outputs=1] number of outputs
+* @param {boolean} [change=true] include a change output
+* @returns {number}
+*/
+function baseFee (opts = {}, change = true) {
+  const outputs = (opts.outputs || 1) + (change ? 1 : 0)
+  return Math.ceil((opts.feeRate || 0) * (TX_OVERHEAD_VSIZE + OUTPUT_VSIZE * outputs))
+}
+
+/**
+* @description fee in sats for spending one input
+*/
+function inputFee (opts = {}) {
+  return Math.ceil((opts.feeRate || 0) * INPUT_VSIZE)
+}
+
+/**
+* @description select utxo in the given order until they cover amount and estimated fees
+* @param {Array<Object>} utxos ordered utxo list
+* @param {number} amount amount in sats
+* @param {Object} opts selection options
+* @returns {Array<Object>} selected utxo
+*/
+function accumulate (utxos, amount, opts = {}) {
+  let target = amount + baseFee(opts)
+  let total = 0
+  const selected = []
+  for (const utxo of utxos) {
+    if (total >= target) break
+    selected.push(utxo)
+    total += utxoValue(utxo)
+    target += inputFee(opts)
+  }
+  return selected
+}
+
+module.exports = {
+  TX_OVERHEAD_VSIZE,
+  INPUT_VSIZE,
+  OUTPUT_VSIZE,
+  utxoValue,
+  baseFee,
+  inputFee,
+  accumulate
+}
@@ -0,0 +1,145 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+// @desc: Output script descriptors (BIP380) for single key accounts. Checksum code follows Bitcoin Core descriptor.cpp
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#"\\ '
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+const GENERATOR = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn]
+
+// @desc: script expression of each address type
+const WRAPPERS = {
+  p2pkh: ['pkh(', ')'],
+  'p2sh-p2wpkh': ['sh(wpkh(', '))'],
+  p2wpkh: ['wpkh(', ')'],
+  p2tr: ['tr(', ')']
+}
+
+function polymod (c, val) {
+  const c0 = c >> 35n
+  c = ((c & 0x7ffffffffn) << 5n) ^ BigInt(val)
+  GENERATOR.forEach((gen, i) => {
+    if ((c0 >> BigInt(i)) & 1n) c ^= gen
+  })
+  return c
+}
+
+/**
+* @description BIP380 checksum of a descriptor without checksum
+* @param {string} desc descriptor
+* @returns {string} 8 character checksum
+*/
+function checksum (desc) {
+  let c = 1n
+  let cls = 0
+  let clscount = 0
+  for (const ch of desc) {
+    const pos = INPUT_CHARSET.indexOf(ch)
+    if (pos === -1) throw new Error('Invalid character in descriptor: ' + ch)
+    c = polymod(c, pos & 31)
+    cls = cls * 3 + (pos >> 5)
+    if (++clscount === 3) {
+      c = polymod(c, cls)
+      cls = 0
+      clscount = 0
+    }
+  }
+  if (clscount > 0) c = polymod(c, cls)
+  for (let j = 0; j < 8; j++) c = polymod(c, 0)
+  c ^= 1n
+
+  let res = ''
+  for (let j = 0; j < 8; j++) {
+    res += CHECKSUM_CHARSET[Number((c >> BigInt(5 * (7 - j))) & 31n)]
+  }
+  return res
+}
+
+/**
+* @description append checksum to a descriptor
+*/
+function addChecksum (desc) {
+  return desc + '#' + checksum(desc)
+}
+
+/**
+* @description build the descriptor of one chain of an account
+* @param {Object} opts
+* @param {string} opts.addressType address type. example: p2wpkh
+* @param {string} opts.fingerprint master key fingerprint in hex
+* @param {string} opts.path account path. example: m/84'/0'/0'
+* @param {string} opts.xpub account extended public key
+* @param {number} opts.change 0 for receive, 1 for change
+* @returns {string} descriptor with checksum
+*/
+function build ({ addressType, fingerprint, path, xpub, change }) {
+  const wrap = WRAPPERS[addressType]
+  if (!wrap) throw new Error('Unsupported address type: ' + addressType)
+  const origin = `[${fingerprint}${path.slice(1)}]`
+  return addChecksum(`${wrap[0]}${origin}${xpub}/${change}/*${wrap[1]}`)
+}
+
+/**
+* @description build the descriptor of one chain of a multisig wallet: wsh(sortedmulti(m, keys...))
+* @param {Object} opts
+* @param {number} opts.m number of signatures needed
+* @param {Array<Object>} opts.cosigners list of { xpub, fingerprint, path }
+* @param {number} opts.change 0 for receive, 1 for change
+* @returns {string} descriptor with checksum
+*/
+function buildMultisig ({ m, cosigners, change }) {
+  const keys = cosigners.map(({ xpub, fingerprint, path }) => `[${fingerprint}${path.slice(1)}]${xpub}/${change}/*`)
+  return addChecksum(`wsh(sortedmulti(${m},${keys.join(',')}))`)
+}
+
+/**
+* @description parse a single key account descriptor. The checksum is required and verified.
+* Supported: pkh, sh(wpkh), wpkh and tr of an extended public key with receive, change or both (<0;1>) chains.
+* @param {string} descriptor descriptor with checksum
+* @returns {Object} addressType, fingerprint, path, xpub and chains
+*/
+function parse (descriptor) {
+  const [desc, sum] = descriptor.trim().split('#')
+  if (!sum) throw new Error('Descriptor checksum is missing')
+  if (checksum(desc) !== sum) throw new Error('Invalid descriptor checksum')
+
+  const addressType = Object.keys(WRAPPERS).find((type) => {
+    const [start, end] = WRAPPERS[type]
+    return desc.startsWith(start) && desc.endsWith(end)
+  })
+  if (!addressType) throw new Error('Unsupported descriptor: ' + desc)
+  const [start, end] = WRAPPERS[addressType]
+  const key = desc.slice(start.length, desc.length - end.length)
+
+  const match = key.match(/^(?:\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\])?([a-km-zA-HJ-NP-Z1-9]+)\/(0|1|<0;1>)\/\*$/)
+  if (!match) throw new Error('Unsupported descriptor key: ' + key)
+  const [, fingerprint = null, origin = '', xpub, chain] = match
+  if (/^[xtyzuv]prv/.test(xpub)) throw new Error('Descriptor with private key is not supported')
+
+  return {
+    addressType,
+    fingerprint: fingerprint && fingerprint.toLowerCase(),
+    path: origin ? 'm' + origin.replace(/h/g, "'") : null,
+    xpub,
+    chains: chain === '<0;1>' ? [0, 1] : [+chain]
+  }
+}
+
+module.exports = {
+  checksum,
+  addChecksum,
+  build,
+  buildMultisig,
+  parse
+}
@@ -0,0 +1,257 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+const crypto = require('crypto')
+const { promisify } = require('util')
+
+const scrypt = promisify(crypto.scrypt)
+
+const CIPHER = 'aes-256-gcm'
+// @desc: known value encrypted with the key, to check the passphrase when the wallet is opened
+const KEY_CHECK = 'lib-wallet-pay-btc'
+
+function isEncrypted (value) {
+  return !!value && typeof value === 'object' && typeof value.kid === 'string' && typeof value.data === 'string'
+}
+
+function encrypt ({ key, kid }, value) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(CIPHER, key, iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+  return {
+    kid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }
+}
+
+/**
+* @param {Map} keys - keys by key id
+*/
+function decrypt (keys, value) {
+  // @desc: values written before encryption was enabled are encrypted when their instance is first used
+  if (!isEncrypted(value)) throw new Error('Value is not encrypted')
+  if (!keys.has(value.kid)) throw new Error('Value is encrypted with another key. Key rotation was interrupted, call rotateKey again')
+  const { key } = keys.get(value.kid)
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(value.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'))
+  const data = Buffer.concat([decipher.update(Buffer.from(value.data, 'base64')), decipher.final()])
+  return JSON.parse(data.toString('utf8'))
+}
+
+async function deriveKey (passphrase, salt) {
+  if (!passphrase) throw new Error('Passphrase is required')
+  const key = await scrypt(passphrase, Buffer.from(salt, 'hex'), 32)
+  return { key, kid: salt }
+}
+
+/**
+* @class EncryptedInstance
+* @desc Store instance that encrypts values before writing them and decrypts them when reading. Keys are not encrypted.
+* @param {Object} config
+* @param {Object} config.store - store instance to write to
+* @param {EncryptedStore} config.encryption - holds the key
+* @param {string} config.name - name of the store instance
+*/
+class EncryptedInstance {
+  constructor (config) {
+    this.store = config.store
+    this._enc = config.encryption
+    this.name = config.name
+  }
+
+  init () {
+    return this.store.init()
+  }
+
+  close () {
+    return this.store.close()
+  }
+
+  clear () {
+    return this.store.clear()
+  }
+
+  async get (key) {
+    await this._enc._migrate(this.name, this.store)
+    const value = await this.store.get(key)
+    if (value === undefined || value === null) return value
+    return decrypt(this._enc._keys, value)
+  }
+
+  async put (key, value) {
+    await this._enc._migrate(this.name, this.store)
+    await this._enc._register(this.name)
+    return this.store.put(key, encrypt(this._enc._key, value))
+  }
+
+  delete (key) {
+    return this.store.delete(key)
+  }
+
+  // @desc: range and order options are passed to the store as they are
+  async entries (cb, ...opts) {
+    await this._enc._migrate(this.name, this.store)
+    return this.store.entries((k, v) => cb(k, decrypt(this._enc._keys, v)), ...opts)
+  }
+
+  async some (cb, ...opts) {
+    await this._enc._migrate(this.name, this.store)
+    return this.store.some((k, v) => cb(k, decrypt(this._enc._keys, v)), ...opts)
+  }
+}
+
+/**
+* @class EncryptedStore
+* @desc Encryption at rest for wallet stores. Instances made with newInstance encrypt their values with AES-256-GCM,
+* using a key derived from a passphrase with scrypt. Salt and a key check are kept in the 'encryption' store.
+* @param {Object} config
+* @param {Object} config.store - wallet store
+* @param {string} config.passphrase - passphrase to derive the key from
+*/
+class EncryptedStore {
+  constructor (config) {
+    this.store = config.store
+    this._passphrase = config.passphrase
+    this._instances = new Map()
+    this._migrations = new Map()
+  }
+
+  async init () {
+    this._meta = this.store.newInstance({ name: 'encryption' })
+    await this._meta.init()
+    let keyInfo = await this._meta.get('key')
+    if (!keyInfo) {
+      const salt = crypto.randomBytes(16).toString('hex')
+      this._key = await deriveKey(this._passphrase, salt)
+      keyInfo = { salt, check: encrypt(this._key, KEY_CHECK) }
+      await this._meta.put('key', keyInfo)
+    } else {
+      this._key = await deriveKey(this._passphrase, keyInfo.salt)
+      this._checkKey(this._key, keyInfo.check)
+    }
+    this._keys = new Map([[this._key.kid, this._key]])
+    this._names = new Set(await this._meta.get('instances') || [])
+    this._migrated = new Set(await this._meta.get('migrated') || [])
+    this._passphrase = null
+  }
+
+  _checkKey (key, check) {
+    let value
+    try {
+      value = decrypt(new Map([[key.kid, key]]), check)
+    } catch (err) {}
+    if (value !== KEY_CHECK) throw new Error('Invalid passphrase')
+  }
+
+  /**
+  * @desc keep names of instances with data, to find them when rotating the key
+  */
+  async _register (name) {
+    if (this._names.has(name)) return
+    this._names.add(name)
+    await this._meta.put('instances', [...this._names])
+  }
+
+  /**
+  * @desc Encrypt values an instance holds from before encryption was enabled. Runs once for each instance,
+  * after that plaintext values are rejected.
+  */
+  _migrate (name, store) {
+    if (this._migrated.has(name)) return
+    if (!this._migrations.has(name)) {
+      this._migrations.set(name, this._encryptPlaintext(name, store))
+    }
+    return this._migrations.get(name)
+  }
+
+  async _encryptPlaintext (name, store) {
+    const values = []
+    await store.entries(async (k, v) => {
+      if (!isEncrypted(v)) values.push([k, v])
+    })
+    if (values.length) await this._register(name)
+    for (const [k, v] of values) {
+      await store.put(k, encrypt(this._key, v))
+    }
+    this._migrated.add(name)
+    await this._meta.put('migrated', [...this._migrated])
+  }
+
+  /**
+  * @description new store instance with encrypted values
+  * @param {Object} opts - same as store.newInstance
+  * @param {string} opts.name - name of the instance
+  * @returns {EncryptedInstance}
+  */
+  newInstance (opts) {
+    const store = this.store.newInstance(opts)
+    this._instances.set(opts.name, store)
+    return new EncryptedInstance({ store, encryption: this, name: opts.name })
+  }
+
+  /**
+  * @description Re-encrypt all values with a key from a new passphrase.
+  * The new salt is saved before values are re-encrypted, if rotation is interrupted call it again with the same passphrase.
+  * Values written while rotating use the new key.
+  * @param {string} passphrase - new passphrase
+  */
+  async rotateKey (passphrase) {
+    // @desc: instances opened by the wallet may hold values written before encryption was enabled
+    const stores = new Map(this._instances)
+    const opened = []
+    for (const name of this._names) {
+      if (stores.has(name)) continue
+      const store = this.store.newInstance({ name })
+      await store.init()
+      stores.set(name, store)
+      opened.push(store)
+    }
+    for (const [name, store] of stores) {
+      await this._migrate(name, store)
+    }
+
+    const pending = await this._meta.get('pending') || { salt: crypto.randomBytes(16).toString('hex') }
+    await this._meta.put('pending', pending)
+    const next = await deriveKey(passphrase, pending.salt)
+    const prev = this._key
+    this._keys.set(next.kid, next)
+    this._key = next
+
+    for (const store of stores.values()) {
+      const values = []
+      await store.entries(async (k, v) => {
+        values.push([k, v])
+      })
+      for (const [k, v] of values) {
+        if (v.kid === next.kid) continue
+        await store.put(k, encrypt(next, decrypt(this._keys, v)))
+      }
+    }
+    for (const store of opened) {
+      await store.close()
+    }
+
+    await this._meta.put('key', { salt: pending.salt, check: encrypt(next, KEY_CHECK) })
+    await this._meta.delete('pending')
+    this._keys.delete(prev.kid)
+  }
+
+  close () {
+    return this._meta.close()
+  }
+}
+
+module.exports = EncryptedStore
@@ -0,0 +1,169 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+const bitcoin = require('bitcoinjs-lib')
+
+let ecc = require('@bitcoinerlab/secp256k1')
+
+const MESSAGE_PREFIX = Buffer.from('\x18Bitcoin Signed Message:\n', 'utf8')
+
+// @desc: first byte of a legacy signature is 27 + recovery id, plus 4 for a compressed key. BIP137 adds 8 for P2SH-P2WPKH and 12 for P2WPKH
+const HEADER_OFFSET = {
+  p2pkh: 31,
+  'p2sh-p2wpkh': 35,
+  p2wpkh: 39
+}
+
+function varint (n) {
+  if (n < 0xfd) return Buffer.from([n])
+  if (n <= 0xffff) {
+    const buf = Buffer.alloc(3)
+    buf[0] = 0xfd
+    buf.writeUInt16LE(n, 1)
+    return buf
+  }
+  const buf = Buffer.alloc(5)
+  buf[0] = 0xfe
+  buf.writeUInt32LE(n, 1)
+  return buf
+}
+
+/**
+* @description hash signed by the legacy Bitcoin Signed Message format
+* @param {string} message
+* @returns {Buffer}
+*/
+function magicHash (message) {
+  const msg = Buffer.from(message, 'utf8')
+  return bitcoin.crypto.hash256(Buffer.concat([MESSAGE_PREFIX, varint(msg.length), msg]))
+}
+
+/**
+* @description tagged hash of the message for BIP322
+*/
+function bip322Hash (message) {
+  const tag = bitcoin.crypto.sha256(Buffer.from('BIP0322-signed-message', 'utf8'))
+  return bitcoin.crypto.sha256(Buffer.concat([tag, tag, Buffer.from(message, 'utf8')]))
+}
+
+/**
+* @desc BIP322 virtual transactions. to_spend pays the message address, to_sign spends it to OP_RETURN.
+* @returns {Buffer} sighash of the to_sign input
+*/
+function bip322Sighash (message, pubkey, network) {
+  const { output } = bitcoin.payments.p2wpkh({ pubkey, network })
+
+  const toSpend = new bitcoin.Transaction()
+  toSpend.version = 0
+  toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, bip322Hash(message)]))
+  toSpend.addOutput(output, 0)
+
+  const toSign = new bitcoin.Transaction()
+  toSign.version = 0
+  toSign.addInput(toSpend.getHash(), 0, 0)
+  toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0)
+
+  const scriptCode = bitcoin.payments.p2pkh({ pubkey, network }).output
+  return toSign.hashForWitnessV0(0, scriptCode, 0, bitcoin.Transaction.SIGHASH_ALL)
+}
+
+function encodeWitness (items) {
+  return Buffer.concat([varint(items.length), ...items.map((item) => Buffer.concat([varint(item.length), item]))])
+}
+
+function decodeWitness (buf) {
+  const items = []
+  let offset = 1
+  for (let i = 0; i < buf[0]; i++) {
+    const len = buf[offset]
+    items.push(buf.subarray(offset + 1, offset + 1 + len))
+    offset += 1 + len
+  }
+  if (offset !== buf.length) throw new Error('Invalid BIP322 signature')
+  return items
+}
+
+/**
+* @description Sign a message with a private key
+* @param {Object} opts
+* @param {Buffer} opts.privateKey private key
+* @param {Buffer} opts.publicKey compressed public key
+* @param {string} opts.message message to sign
+* @param {string} opts.addressType p2pkh, p2sh-p2wpkh or p2wpkh. BIP322 supports only p2wpkh
+* @param {string} [opts.format=legacy] legacy or bip322
+* @param {Object} opts.network bitcoinjs network
+* @returns {Promise<string>} base64 signature
+*/
+async function sign ({ privateKey, publicKey, message, addressType, format = 'legacy', network }) {
+  ecc = await ecc
+  if (format === 'legacy') {
+    if (!HEADER_OFFSET[addressType]) throw new Error('Legacy message signing is not supported for ' + addressType)
+    const { signature, recoveryId } = ecc.signRecoverable(magicHash(message), privateKey)
+    return Buffer.concat([Buffer.from([HEADER_OFFSET[addressType] + recoveryId]), Buffer.from(signature)]).toString('base64')
+  }
+  if (format === 'bip322') {
+    if (addressType !== 'p2wpkh') throw new Error('BIP322 message signing is only supported for p2wpkh')
+    const sig = Buffer.from(ecc.sign(bip322Sighash(message, publicKey, network), privateKey))
+    return encodeWitness([bitcoin.script.signature.encode(sig, bitcoin.Transaction.SIGHASH_ALL), publicKey]).toString('base64')
+  }
+  throw new Error('Invalid message format: ' + format)
+}
+
+/**
+* @description Verify a signed message. Format is found from the signature.
+* Legacy signatures are accepted for P2PKH, P2SH-P2WPKH and P2WPKH addresses whatever header flag they use.
+* Signatures of an uncompressed key (header 27-30) are only valid for P2PKH.
+* @param {Object} opts
+* @param {string} opts.address address that signed
+* @param {string} opts.message signed message
+* @param {string} opts.signature base64 signature
+* @param {Object} opts.network bitcoinjs network
+* @returns {Promise<boolean>}
+*/
+async function verify ({ address, message, signature, network }) {
+  ecc = await ecc
+  const sig = Buffer.from(signature, 'base64')
+  try {
+    if (sig.length === 65 && sig[0] >= 27 && sig[0] <= 42) {
+      const flag = sig[0] - 27
+      const compressed = flag >= 4
+      const recovered = ecc.recover(magicHash(message), sig.subarray(1), flag & 3, compressed)
+      if (!recovered) return false
+      const pubkey = Buffer.from(recovered)
+      if (bitcoin.payments.p2pkh({ pubkey, network }).address === address) return true
+      // @desc: segwit addresses need a compressed key
+      if (!compressed) return false
+      return [
+        bitcoin.payments.p2wpkh({ pubkey, network }),
+        bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network }), network })
+      ].some((payment) => payment.address === address)
+    }
+
+    const items = decodeWitness(sig)
+    if (items.length !== 2) return false
+    const [encoded, pubkey] = items
+    if (bitcoin.payments.p2wpkh({ pubkey, network }).address !== address) return false
+    const { signature: rs, hashType } = bitcoin.script.signature.decode(encoded)
+    if (hashType !== bitcoin.Transaction.SIGHASH_ALL) return false
+    return ecc.verify(bip322Sighash(message, pubkey, network), pubkey, rs)
+  } catch (err) {
+    return false
+  }
+}
+
+module.exports = {
+  magicHash,
+  sign,
+  verify
+}
@@ -17,6 +17,28 @@ const Bitcoin = require('./currency')
 const { ConnectionManager } = require('lib-wallet')
 const { STATUS } = ConnectionManager.ConnectionStatus
 const net = require('net')
+const tls = require('tls')
+const ServerPool = require('./server-pool.js')
+const { SocketTransport, WebSocketTransport } = require('./transport.js')
+
+// @desc: sent with server.version. Electrum protocol version range supported by this client
+const CLIENT_NAME = 'lib-wallet-pay-btc'
+const PROTOCOL_VERSION = ['1.4', '1.4.2']
+
+/**
+* @class RequestTimeoutError
+* @desc A request to the electrum server got no response in time
+* @param {string} method - RPC method
+* @param {number} timeout - ms waited
+**/
+class RequestTimeoutError extends Error {
+  constructor (method, timeout) {
+    super(`Electrum request timed out after ${timeout}ms - ${method}`)
+    this.name = 'RequestTimeoutError'
+    this.method = method
+    this.timeout = timeout
+  }
+}
 
 function getBlockReward (height) {
   const initialReward = Bitcoin.BN(50).times(100000000) // 50 BTC in satoshis
@@ -104,15 +126,60 @@ class RequestCache {
   }
 }
 
+/**
+* @class Electrum
+* @desc Electrum client. With a list of servers it connects to a healthy one and fails over to the next
+* when the connection is lost or the server stops answering server.ping.
+* A lost connection is reconnected with exponential backoff. Block and address subscriptions are made again
+* and requests that were waiting for a response are sent again.
+* @param {Object} config - configuration
+* @param {Object} config.store - store for the request cache
+* @param {string} [config.host=127.0.0.1] - server host, or a tcp://, ssl://, tls://, ws:// or wss:// url with port
+* @param {number} [config.port] - server port. Default is 8001 for tcp, 50002 for tls, 50003 for ws and 50004 for wss
+* @param {string} [config.protocol=tcp] - tcp, tls, ws or wss
+* @param {Function} [config.WebSocket] - WebSocket class for ws and wss. Default is the global WebSocket
+* @param {Array<Object|string>} [config.servers] - list of { host, port, protocol, fingerprint } or urls to use instead of host and port
+* @param {string|Buffer|Array} [config.ca] - CA certificates to trust for tls, instead of the default CAs
+* @param {string} [config.fingerprint] - pinned SHA-256 fingerprint of the server certificate, hex with or without colons. tls only
+* @param {boolean} [config.rejectUnauthorized] - reject certificates not signed by a trusted CA. Default is true, false with a pinned fingerprint
+* @param {number} [config.pingInterval=30000] - ms between server.ping health checks
+* @param {number} [config.pingTimeout=10000] - ms to wait for the connection, server.version and server.ping
+* @param {number} [config.requestTimeout=30000] - ms to wait for the response of a request before rejecting with RequestTimeoutError
+* @param {number} [config.reconnectDelay=1000] - ms to wait before the second reconnect attempt. Doubles after each attempt
+* @param {number} [config.maxReconnectDelay=60000] - max ms between reconnect attempts
+* @param {number} [config.maxReconnectAttempts=Infinity] - give up and reject waiting requests after this many attempts
+**/
 class Electrum extends ConnectionManager {
   constructor (config = {}) {
     super({
       name: 'provider'
     })
     this._subscribe()
-    this.port = config.port || 8001
-    this.host = config.host || 'http://127.0.0.1'
+    this._poolDefaults = {
+      protocol: config.protocol,
+      fingerprint: config.fingerprint
+    }
+    this._pool = new ServerPool(config.servers || [{
+      host: config.host,
+      port: config.port
+    }], this._poolDefaults)
+    this.port = this._pool.current.port
+    this.host = this._pool.current.host
     this._net = config.net || net
+    this._tls = config.tls || tls
+    this._WebSocket = config.WebSocket
+    this._ca = config.ca
+    this._rejectUnauthorized = config.rejectUnauthorized
+    this._pingInterval = config.pingInterval || 30000
+    this._pingTimeout = config.pingTimeout || 10000
+    this._requestTimeout = config.requestTimeout || 30000
+    this._requestId = 0
+    this._reconnectDelay = config.reconnectDelay || 1000
+    this._maxReconnectDelay = config.maxReconnectDelay || 60000
+    this._maxReconnectAttempts = config.maxReconnectAttempts ?? Infinity
+    // @desc: subscribed script hashes and their last status, made again after reconnecting
+    this._scriptHashes = new Map()
+    this._blockSubscribed = false
     this.requests = new Map()
     this.cache = new RequestCache({ store: config.store.newInstance({ name: 'electrum-cache' }) })
     this.block_height = 0
@@ -123,6 +190,8 @@ class Electrum extends ConnectionManager {
     })
   }
 
+  static RequestTimeoutError = RequestTimeoutError
+
   static OutTypes = {
     0: 'non-standard',
     1: 'standard'
@@ -135,42 +204,266 @@ class Electrum extends ConnectionManager {
     })
 
     this.on('blockchain.scripthash.subscribe', (...args) => {
+      const [scriptHash, status] = args
+      if (this._scriptHashes.has(scriptHash)) this._scriptHashes.set(scriptHash, status)
       this.emit('new-tx', ...args)
     })
   }
 
   /**
-  * Connect to electrum server
-  * @param {Object} opts - options
-  * @param {Boolean} opts.reconnect - reconnect if connection is lost.
+  * Connect to electrum server. Servers of the pool are tried until one answers server.version
   **/
   connect () {
-    return new Promise((resolve) => {
-      if (this.isConnected()) {
-        return resolve()
+    if (this.isConnected()) return Promise.resolve()
+    if (!this._connecting) {
+      this._connecting = this._connectPool().finally(() => {
+        this._connecting = null
+      })
+    }
+    return this._connecting
+  }
+
+  async _connectPool () {
+    this.setStatus(STATUS.CONNECTING)
+    for (const server of this._pool.candidates()) {
+      try {
+        await this._connectServer(server)
+        this._startPing()
+        return
+      } catch (err) {
+        this._pool.markFailed(server, err)
+        // @desc: unset first so the close event of a failed attempt doesn't start a failover
+        const client = this._client
+        this._client = null
+        if (client && !client.destroyed) client.destroy()
+        if (this._closed) throw err
       }
-      this.setStatus(STATUS.CONNECTING)
-      this._client = this._net.createConnection(this.port, this.host, () => {
+    }
+    this.setStatus(STATUS.ERROR)
+    throw new Error('No electrum server available')
+  }
+
+  _connectServer (server) {
+    return new Promise((resolve, reject) => {
+      this.port = server.port
+      this.host = server.host
+      this._setEndpoint({ port: server.port, host: server.host })
+      const client = this._createTransport(server)
+      // @desc: an unreachable server would hang until the OS gives up, fail over to the next one sooner
+      const timer = setTimeout(() => {
+        reject(new Error(`Connection to ${server.host}:${server.port} timed out after ${this._pingTimeout}ms`))
+      }, this._pingTimeout)
+      const onConnect = async () => {
+        clearTimeout(timer)
+        if (server.fingerprint && !this._matchFingerprint(client, server.fingerprint)) {
+          return client.destroy(new Error('Electrum server certificate does not match the pinned fingerprint'))
+        }
         this.setStatus(STATUS.CONNECTED)
-        resolve()
-      })
-      this._client.on('data', (data) => {
-        const response = data.toString().split('\n')
-        response.forEach((data) => {
-          if (!data) return
-          this._handleResponse(data)
+        try {
+          const start = Date.now()
+          const version = await this._makeRequest('server.version', [CLIENT_NAME, PROTOCOL_VERSION], { timeout: this._pingTimeout })
+          this._pool.markHealthy(server, { latency: Date.now() - start, version })
+          resolve()
+        } catch (err) {
+          reject(err)
+        }
+      }
+      this._client = client
+      client.once('connect', onConnect)
+      // @desc: messages are newline delimited and can be split across chunks. Keep the incomplete last line
+      let buffer = ''
+      client.on('data', (data) => {
+        const lines = (buffer + data).split('\n')
+        buffer = lines.pop()
+        lines.forEach((line) => {
+          if (!line) return
+          this._handleResponse(line)
         })
       })
-      this._client.once('end', () => {
-        this.setStatus(STATUS.DISCONNECTED)
+      client.once('end', () => {
+        // @desc: status of a stopped client is set by _stopClient
+        if (client === this._client) this.setStatus(STATUS.DISCONNECTED)
       })
-      this._client.once('error', (err) => {
+      client.once('error', (err) => {
+        clearTimeout(timer)
         console.log(err)
         this.setStatus(STATUS.ERROR)
+        reject(err)
+      })
+      client.once('close', () => {
+        clearTimeout(timer)
+        reject(new Error('Connection closed'))
+        this._onClose(client)
       })
+      if (server.fingerprint && server.protocol !== 'tls') {
+        clearTimeout(timer)
+        return reject(new Error('Certificate pinning is only supported for tls'))
+      }
+      client.open()
+    })
+  }
+
+  /**
+  * @desc transport for the protocol of the server. Framing, requests and subscriptions are the same for all transports
+  */
+  _createTransport (server) {
+    if (server.protocol === 'ws' || server.protocol === 'wss') {
+      const options = this._ca || this._rejectUnauthorized !== undefined
+        ? { ca: this._ca, rejectUnauthorized: this._rejectUnauthorized }
+        : undefined
+      return new WebSocketTransport({ server, WebSocket: this._WebSocket, options })
+    }
+    return new SocketTransport({
+      server,
+      net: this._net,
+      tls: this._tls,
+      tlsOptions: this._tlsOptions(server)
+    })
+  }
+
+  _tlsOptions (server) {
+    return {
+      host: server.host,
+      port: server.port,
+      // @desc: SNI is only sent for host names
+      servername: net.isIP(server.host) ? undefined : server.host,
+      ca: this._ca,
+      // @desc: a pinned certificate is trusted without a CA. Electrum servers often use self-signed certificates
+      rejectUnauthorized: this._rejectUnauthorized ?? !server.fingerprint
+    }
+  }
+
+  _matchFingerprint (client, fingerprint) {
+    const cert = client.getPeerCertificate()
+    const hex = (str) => (str || '').replace(/:/g, '').toLowerCase()
+    return !!cert?.fingerprint256 && hex(cert.fingerprint256) === hex(fingerprint)
+  }
+
+  /**
+  * @desc health check of the connected server. A server that doesn't answer is closed, which fails over to the next one
+  */
+  _startPing () {
+    this._stopPing()
+    const client = this._client
+    let pending = false
+    this._pingTimer = setInterval(async () => {
+      if (pending) return
+      pending = true
+      const server = this._pool.current
+      try {
+        const start = Date.now()
+        await this._makeRequest('server.ping', [], { timeout: this._pingTimeout })
+        this._pool.markHealthy(server, { latency: Date.now() - start })
+      } catch (err) {
+        // @desc: a ping of a connection that is already gone
+        if (client !== this._client) return
+        this._pool.markFailed(server, err)
+        this._destroyClient()
+      } finally {
+        pending = false
+      }
+    }, this._pingInterval)
+  }
+
+  _stopPing () {
+    clearInterval(this._pingTimer)
+    this._pingTimer = null
+  }
+
+  _destroyClient () {
+    if (this._client && !this._client.destroyed) this._client.destroy()
+  }
+
+  /**
+  * @desc connection closed without close() being called. Pending requests wait for the reconnect
+  */
+  _onClose (client) {
+    if (client !== this._client || this._connecting) return
+    this._client = null
+    this._stopPing()
+    const server = this._pool.current
+    if (server.healthy) this._pool.markFailed(server, new Error('Connection closed'))
+    this.setStatus(STATUS.DISCONNECTED)
+    this._reconnectLoop()
+  }
+
+  _rejectRequests (err) {
+    for (const [, [, reject]] of this.requests) reject(err)
+    this.requests.clear()
+  }
+
+  /**
+  * @desc Reconnect with exponential backoff. Every attempt tries all servers of the pool,
+  * so the first attempt fails over to the next server without waiting.
+  * @fires Electrum#reconnecting { attempt, delay }
+  * @fires Electrum#reconnected { host, port, attempt }
+  * @fires Electrum#failover { host, port } when connected to another server
+  */
+  async _reconnectLoop () {
+    if (this._reconnecting) return
+    this._reconnecting = true
+    const { host, port } = this
+    let attempt = 0
+    while (!this._closed && attempt < this._maxReconnectAttempts) {
+      const delay = attempt === 0 ? 0 : Math.min(this._reconnectDelay * 2 ** (attempt - 1), this._maxReconnectDelay)
+      attempt++
+      this.emit('reconnecting', { attempt, delay })
+      await this._wait(delay)
+      if (this._closed) break
+      try {
+        await this.connect()
+        await this._restoreSession()
+      } catch (err) {
+        continue
+      }
+      this._reconnecting = false
+      this.emit('reconnected', { host: this.host, port: this.port, attempt })
+      if (this.host !== host || this.port !== port) this.emit('failover', { host: this.host, port: this.port })
+      return
+    }
+    this._reconnecting = false
+    this._rejectRequests(new Error('Connection to electrum server lost'))
+  }
+
+  _wait (ms) {
+    return new Promise((resolve) => {
+      this._wakeUp = resolve
+      this._reconnectTimer = setTimeout(resolve, ms)
     })
   }
 
+  /**
+  * @desc send again the requests that didn't get a response and make the subscriptions of the lost connection.
+  * A script hash with a new status is emitted as new-tx, like a notification the server would have sent.
+  */
+  async _restoreSession () {
+    const client = this._client
+    if (!client) throw new Error('not connected')
+    for (const [id, [, , method, params]] of this.requests) {
+      client.send(this._rpcPayload(method, params, id))
+    }
+    const subscribe = async () => {
+      if (this._blockSubscribed) await this.subscribeToBlocks()
+      await Promise.all([...this._scriptHashes].map(async ([scriptHash, status]) => {
+        const newStatus = await this.subscribeToAddress(scriptHash)
+        if (newStatus !== status) this.emit('new-tx', scriptHash, newStatus)
+      }))
+    }
+    // @desc: requests of a connection that is lost again are sent on the next attempt
+    const closed = new Promise((resolve, reject) => {
+      client.once('close', () => reject(new Error('Connection closed')))
+    })
+    await Promise.race([subscribe(), closed])
+  }
+
+  /**
+  * @description health of the configured servers
+  * @returns {Array<Object>} list of { host, port, protocol, fingerprint, healthy, failures, latency, version, error }
+  */
+  getServers () {
+    return this._pool.servers.map((server) => ({ ...server }))
+  }
+
   _rpcPayload (method, params, id) {
     return JSON.stringify({
       jsonrpc: '2.0',
@@ -180,14 +473,30 @@ class Electrum extends ConnectionManager {
     })
   }
 
-  _makeRequest (method, params) {
+  /**
+  * @param {string} method - RPC method
+  * @param {Array} params - RPC params
+  * @param {Object} [opts]
+  * @param {number} [opts.timeout] - ms to wait for the response. Default is config.requestTimeout
+  * @throws {RequestTimeoutError} when there is no response in time
+  */
+  _makeRequest (method, params, opts = {}) {
     return new Promise((resolve, reject) => {
       if (!this.isConnected()) throw new Error('not connected')
-      const id = Date.now() + '-' + parseInt(Math.random() * 100000000)
+      const id = ++this._requestId
+      const timeout = opts.timeout || this._requestTimeout
+      const timer = setTimeout(() => {
+        this.requests.delete(id)
+        reject(new RequestTimeoutError(method, timeout))
+      }, timeout)
+      const settle = (fn) => (val) => {
+        clearTimeout(timer)
+        fn(val)
+      }
       const data = this._rpcPayload(method, params, id)
-      this.requests.set(id, [resolve, reject, method])
+      this.requests.set(id, [settle(resolve), settle(reject), method, params])
       try {
-        this._client.write(data + '\n')
+        this._client.send(data)
       } catch {
       }
     })
@@ -246,6 +555,21 @@ class Electrum extends ConnectionManager {
     return this._makeRequest('blockchain.transaction.get', [txid, true])
   }
 
+  /**
+  * @description raw transaction hex. Legacy inputs need the full previous transaction for signing
+  */
+  async getTransactionHex (txid) {
+    const tx = await this._txGet(txid, {})
+    return tx.hex
+  }
+
+  /**
+  * @description unspent outputs of a script hash. list of { tx_hash, tx_pos, height, value }
+  */
+  getUnspent (scriptHash) {
+    return this._makeRequest('blockchain.scripthash.listunspent', [scriptHash])
+  }
+
   _getBalance (scriptHash) {
     return this._makeRequest('blockchain.scripthash.get_balance', [scriptHash])
   }
@@ -308,6 +632,7 @@ class Electrum extends ConnectionManager {
 
     const tx = await this._txGet(txid, opts)
     data.height = tx.height
+    data.vsize = tx.vsize
 
     let totalOut = new Bitcoin(0, 'main')
     data.out = tx.vout.map((vout) => {
@@ -365,42 +690,87 @@ class Electrum extends ConnectionManager {
   }
 
   async subscribeToBlocks () {
+    this._blockSubscribed = true
     const height = await this._makeRequest('blockchain.headers.subscribe', [])
     this.block_height = height.height
     this.emit('new-block', height)
   }
 
   async close () {
+    this._closed = true
+    clearTimeout(this._reconnectTimer)
+    if (this._wakeUp) this._wakeUp()
     super.destroy()
     await this._stopClient()
+    this._rejectRequests(new Error('Electrum client closed'))
     await this.cache.stop()
   }
 
   _stopClient () {
     return new Promise((resolve) => {
-      if (!this._client) return resolve()
+      const client = this._client
+      this._stopPing()
+      if (!client) return resolve()
+      // @desc: not set when close event fires, so it's not seen as a lost connection
+      this._client = null
+      if (client.destroyed) {
+        this.setStatus(STATUS.DISCONNECTED)
+        return resolve()
+      }
 
-      this._client.once('close', () => {
+      client.once('close', () => {
         resolve()
         this.setStatus(STATUS.DISCONNECTED)
       })
-      this._client.end()
+      client.end()
     })
   }
 
+  /**
+  * @description Use another electrum server instead of the configured ones and reconnect to it
+  * @param {Object|string} endpoint - { host, port, protocol, fingerprint } or server url, like config.servers
+  */
+  async updateEndpoint (endpoint) {
+    this._pool = new ServerPool([endpoint], this._poolDefaults)
+    const { host, port } = this._pool.current
+    this.host = host
+    this.port = port
+    this._setEndpoint(typeof endpoint === 'string' ? { host, port } : endpoint)
+    await this.reconnect()
+  }
+
+  /**
+  * @description close the connection and connect again, making the subscriptions again
+  */
   async reconnect () {
     await this._stopClient()
+    try {
+      await this.connect()
+      await this._restoreSession()
+    } catch (err) {
+      // @desc: closed while reconnecting
+      if (!this._closed) throw err
+    }
   }
 
-  rpc (method, params) {
-    return this._makeRequest(method, params)
+  /**
+  * @description call a RPC method of the electrum server
+  * @param {string} method - RPC method
+  * @param {Array} params - RPC params
+  * @param {Object} [opts] - { timeout } in ms, default is config.requestTimeout
+  */
+  rpc (method, params, opts) {
+    return this._makeRequest(method, params, opts)
   }
 
   async subscribeToAddress (scriptHash) {
-    return this._makeRequest('blockchain.scripthash.subscribe', [scriptHash])
+    const status = await this._makeRequest('blockchain.scripthash.subscribe', [scriptHash])
+    this._scriptHashes.set(scriptHash, status)
+    return status
   }
 
   async unsubscribeFromAddress (scriptHash) {
+    this._scriptHashes.delete(scriptHash)
   }
 }
 
@@ -0,0 +1,99 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+
+const DEFAULT_PORT = {
+  tcp: 8001,
+  tls: 50002,
+  ws: 50003,
+  wss: 50004
+}
+
+/**
+* @description List of Electrum servers with their health. Servers that answered the last
+* server.version or server.ping are tried first, in the order they were configured.
+* @param {Array<Object|string>} servers list of { host, port, protocol, fingerprint } or server urls
+* @param {Object} [defaults] protocol and fingerprint of servers that don't set them
+*/
+class ServerPool {
+  constructor (servers, defaults) {
+    if (!Array.isArray(servers) || servers.length === 0) throw new Error('At least one electrum server is required')
+    this.servers = servers.map((server) => {
+      return {
+        ...ServerPool.parseServer(server, defaults),
+        healthy: true,
+        failures: 0,
+        latency: null,
+        version: null,
+        error: null
+      }
+    })
+    this.current = this.servers[0]
+  }
+
+  /**
+  * @description Parse a server. host can be a url like tcp://host:port, ssl://host:port, tls://host:port,
+  * ws://host:port or wss://host:port, which sets the protocol. ssl is the name Electrum uses for tls.
+  * @param {Object|string} server { host, port, protocol, fingerprint } or url
+  * @param {Object} [defaults] protocol and fingerprint used when the server doesn't set them. fingerprint of tls servers only
+  * @returns {Object} { host, port, protocol, fingerprint }
+  */
+  static parseServer (server, defaults = {}) {
+    let { host, port, protocol, fingerprint } = typeof server === 'string' ? { host: server } : server
+    const url = /^(tcp|ssl|tls|wss?):\/\/(\[[^\]]+\]|[^:/]+)(?::(\d+))?\/?$/.exec(host || '')
+    if (url) {
+      protocol = url[1]
+      host = url[2].replace(/^\[(.*)\]$/, '$1')
+      port = url[3] || port
+    }
+    protocol = protocol || defaults.protocol || 'tcp'
+    if (protocol === 'ssl') protocol = 'tls'
+    if (!DEFAULT_PORT[protocol]) throw new Error('Unsupported electrum protocol: ' + protocol)
+    return {
+      host: host || '127.0.0.1',
+      port: Number(port || DEFAULT_PORT[protocol]),
+      protocol,
+      // @desc: certificates are only pinned for tls, a default fingerprint doesn't apply to other protocols
+      fingerprint: fingerprint || (protocol === 'tls' && defaults.fingerprint) || null
+    }
+  }
+
+  /**
+  * @returns {Array<Object>} servers in the order they should be tried. Healthy servers first
+  */
+  candidates () {
+    return [...this.servers].sort((a, b) => b.healthy - a.healthy)
+  }
+
+  /**
+  * @param {Object} server server from the pool
+  * @param {Object} info latency in ms of the check and version returned by server.version
+  */
+  markHealthy (server, { latency, version }) {
+    server.healthy = true
+    server.failures = 0
+    server.error = null
+    server.latency = latency
+    if (version) server.version = version
+    this.current = server
+  }
+
+  markFailed (server, err) {
+    server.healthy = false
+    server.failures++
+    server.error = err?.message || String(err)
+  }
+}
+
+module.exports = ServerPool
@@ -20,9 +20,10 @@ const { AddressManager } = require('./address-manager.js')
 const AddressWatch = require('./address-watch.js')
 const TotalBalance = require('./total-balance.js')
 const { WalletPay } = require('lib-wallet')
+const AccountScan = require('./account-scan.js')
+const { addressTypeFromPath, PURPOSE } = require('./utils.js')
 
 const TxEntry = WalletPay.TxEntry
-const P2WPKH = 'p2wpkh'
 
 /**
  * Class that manages syncing local state with electrum/blockchain.
@@ -34,6 +35,9 @@ class SyncManager extends EventEmitter {
     this.state = config.state
     this.gapLimit = config.gapLimit
     this.hdWallet = config.hdWallet
+    // @desc: HD wallet of each address type. History is discovered on the purpose path of each
+    this.hdWallets = config.hdWallets || { [config.addressType]: config.hdWallet }
+    this.coinType = config.coinType
     this.utxoManager = config.utxoManager
     this.provider = config.provider
     this.keyManager = config.keyManager
@@ -48,6 +52,8 @@ class SyncManager extends EventEmitter {
     this._isSyncing = false
 
     this._tx_events = []
+    // @desc: discovered accounts other than the HD wallets, by address type and account
+    this._accounts = new Map()
 
     // @desc: Manage watching address changes from electrum
     this._addrWatch = new AddressWatch({
@@ -88,13 +94,45 @@ class SyncManager extends EventEmitter {
       await this._totalBal.resetBalance()
     }
     await this.resumeSync()
-    await this.hdWallet.resetSyncState()
+    await this._eachHdWallet((hdWallet) => hdWallet.resetSyncState())
   }
 
   async close () {
     this.stopSync()
     this._addr && await this._addr.close()
     this._unspent && await this._unspent.close()
+    for (const account of this._accounts.values()) {
+      await (await account).close()
+    }
+  }
+
+  async _eachHdWallet (fn) {
+    for (const hdWallet of Object.values(this.hdWallets)) {
+      await fn(hdWallet)
+    }
+  }
+
+  /**
+  * @description HD wallet or discovered account that owns the path, by the purpose and account of the path
+  */
+  async _hdWalletForPath (path) {
+    const addressType = addressTypeFromPath(path)
+    const account = path.split('/')[3]
+    if (account === "0'" && this.hdWallets[addressType]) return this.hdWallets[addressType]
+    return this._accountScan(addressType, parseInt(account))
+  }
+
+  /**
+  * @description address info from any of the HD wallets or discovered accounts
+  */
+  async _getHdAddress (address) {
+    await this._discoveredAccounts()
+    const accounts = [...Object.values(this.hdWallets), ...await Promise.all(this._accounts.values())]
+    for (const account of accounts) {
+      const addr = await account.getAddress(address)
+      if (addr) return addr
+    }
+    return null
   }
 
   addSentTx (tx) {
@@ -151,6 +189,22 @@ class SyncManager extends EventEmitter {
     return this._unspent.unlock(state)
   }
 
+  /**
+   * @description get an unspent output by its point, txid:index
+   */
+  async getUtxo (point) {
+    return this._unspent.getUtxo(point)
+  }
+
+  /**
+   * @description a sent transaction has been replaced. drop its outputs and keep the inputs of the replacement locked
+   * @param {String} txid replaced transaction id
+   * @param {Array<String>} points inputs of the replacement transaction
+   */
+  async replaceUtxo (txid, points) {
+    return this._unspent.replaceTx(txid, points)
+  }
+
   async updateBlock (block) {
     if (block.current !== 0 && block.diff > 0 && block.last !== 0) {
       this.currentBlock = block
@@ -284,6 +338,9 @@ class SyncManager extends EventEmitter {
         this.emit('new-tx', entry)
       }
       await _addr.storeTx(entry)
+      if (direction !== TxEntry.INCOMING) {
+        await this._processReplacement(entry)
+      }
       newHistory.push(entry)
     }
 
@@ -293,13 +350,50 @@ class SyncManager extends EventEmitter {
     return newHistory
   }
 
+  /**
+  * @desc When a replacement (BIP125) of a sent transaction is seen, remove the replaced transaction
+  * from history, balances and unspent store. Label of the replaced transaction is carried over.
+  * @param {TxEntry} entry transaction entry of a possible replacement
+  * @return {Promise}
+  */
+  async _processReplacement (entry) {
+    const { _addr, _totalBal, _unspent } = this
+    const sent = await _addr.getSentTx(entry.txid)
+    if (!sent?.replaces) return
+    const prev = await _addr.getTx(sent.replaces)
+    if (!prev) return
+
+    const prefix = sent.replaces + ':'
+    for (const address of new Set(prev.to_address)) {
+      const bal = await _addr.get(address)
+      if (!bal) continue
+      const points = Object.values(bal.out.txid).flat()
+        .map(([point]) => point)
+        .filter((point) => point.startsWith(prefix))
+      if (points.length === 0) continue
+      for (const point of points) {
+        bal.out.removeTxid(point)
+        bal.fee.removeTxid(point)
+        await _totalBal.removeTxId('out', point)
+      }
+      await _addr.set(address, bal)
+    }
+
+    if (prev.label && !entry.label) {
+      entry.label = prev.label
+      await _addr.storeTx(entry)
+    }
+    await _addr.removeTx(sent.replaces)
+    await _unspent.replaceTx(sent.replaces)
+  }
+
   /**
   * @description process a path for transactions/history and count gap limit.
   */
   async _processPath (path, signal) {
     const { keyManager, provider, _halt } = this
 
-    const { hash: scriptHash } = keyManager.pathToScriptHash(path, this._addressType)
+    const { hash: scriptHash } = keyManager.pathToScriptHash(path, addressTypeFromPath(path))
     let txHistory
     try {
       txHistory = await provider.getAddressHistory({ cache: true }, scriptHash)
@@ -319,37 +413,100 @@ class SyncManager extends EventEmitter {
 
   /**
    * @description Sync internal wallet state per HD wallet path
-   * @return {Promise}
+   * @param {Object} [opts]
+   * @param {Boolean} [opts.restart] restart sync from the first path
+   * @param {Array} [opts.accounts] accounts to sync, HdWallet or AccountScan. Default is all HD wallets and discovered accounts
+   * @return {Promise<Set>} accounts that have history
    **/
   async syncAccount (opts) {
     if (this._halt || this._isSyncing) throw new Error('halted:' + this._halt + ' is syncing: ' + this._isSyncing)
-    const { hdWallet } = this
     this._isSyncing = true
 
     if (opts?.restart) {
-      await hdWallet.resetSyncState()
+      await this._eachHdWallet((hdWallet) => hdWallet.resetSyncState())
       await this.provider.cache.clear()
       await this._addr.clear()
     }
 
-    await hdWallet.eachAccount(async (syncState, signal) => {
-      if (this._halt) return signal.stop
-      const path = syncState.path
-      const res = await this._processPath(path, signal)
-      this.emit('synced-path', syncState._addrType, path, res === signal.hasTx, syncState.toJSON())
-      return res
-    })
+    const accounts = opts?.accounts || [...Object.values(this.hdWallets), ...await this._discoveredAccounts()]
+    const used = new Set()
+    for (const account of accounts) {
+      if (this._halt) break
+      await account.eachAccount(async (syncState, signal) => {
+        if (this._halt) return signal.stop
+        const path = syncState.path
+        const res = await this._processPath(path, signal)
+        if (res === signal.hasTx) used.add(account)
+        this.emit('synced-path', syncState._addrType, path, res === signal.hasTx, syncState.toJSON())
+        return res
+      })
+    }
 
     if (this._halt) {
       this._isSyncing = false
       this.emit('sync-end')
       this.resumeSync()
-      return
+      return used
     }
     await this._unspent.process()
     this._isSyncing = false
     this.resumeSync()
     this.emit('sync-end')
+    return used
+  }
+
+  /**
+  * @description accounts other than the default account, found by discoverAccounts
+  */
+  async _discoveredAccounts () {
+    const accounts = await this.state.getAccounts()
+    return Promise.all(accounts.map(({ addressType, account }) => this._accountScan(addressType, account)))
+  }
+
+  _accountScan (addressType, account) {
+    const key = addressType + '/' + account
+    if (!this._accounts.has(key)) {
+      const scan = new AccountScan({
+        // @desc: addresses of an account are kept in its own store, apart from the HD wallet of account 0'
+        store: this.store.newInstance({ name: `account-${addressType}-${account}` }),
+        purpose: PURPOSE[addressType],
+        coinType: this.coinType,
+        account,
+        gapLimit: this.gapLimit
+      })
+      this._accounts.set(key, scan.init().then(() => scan))
+    }
+    return this._accounts.get(key)
+  }
+
+  /**
+  * @description BIP44 account discovery. For every single key address type, also the ones the wallet
+  * doesn't make addresses for, sync account 0', 1', 2'... and stop at the first account with no history.
+  * Accounts found are synced again by syncAccount.
+  * @return {Promise<Array>} accounts with history: addressType, account and path
+  */
+  async discoverAccounts () {
+    const found = []
+    const addressTypes = Object.keys(PURPOSE).filter((type) => type !== 'p2wsh')
+    for (const addressType of addressTypes) {
+      const hdWallet = this.hdWallets[addressType]
+      for (let account = 0; ; account++) {
+        let source
+        if (account === 0 && hdWallet) {
+          // @desc: account 0 is the HD wallet. scan it from the start to find out if it has history
+          await hdWallet.resetSyncState()
+          source = hdWallet
+        } else {
+          source = await this._accountScan(addressType, account)
+        }
+        const used = await this.syncAccount({ accounts: [source] })
+        if (this._halt) return found
+        if (!used.has(source)) break
+        found.push({ addressType, account, path: `m/${PURPOSE[addressType]}/${this.coinType}/${account}'` })
+      }
+    }
+    await this.state.setAccounts(found.filter(({ addressType, account }) => account !== 0 || !this.hdWallets[addressType]))
+    return found
   }
 
   /**
@@ -394,7 +551,7 @@ class SyncManager extends EventEmitter {
    * 1. Retrieves or creates balance for the UTXO's address
    * 2. Gets or derives address info from HD wallet
    * 3. Generates a unique identifier for the UTXO, called POINT
-   * 4. Updates UTXO with address public key and path, we need this to spend later
+   * 4. Updates UTXO with address public key, path and script type, we need this to spend later
    * 5. Updates address balance and total balance of the wallet
    * 6. Adds transaction fee to balance if applicable.
    * 7. Saves updated balance
@@ -409,11 +566,11 @@ class SyncManager extends EventEmitter {
    * @returns {Promise<void[]>} Promise resolving when all UTXOs are processed
    */
   async _processUtxo (utxoList, inout, txState, txFee = 0, path) {
-    const { _addr, keyManager, hdWallet, _totalBal, _unspent } = this
+    const { _addr, keyManager, _totalBal, _unspent } = this
     let addrObj
 
     if (path) {
-      addrObj = keyManager.pathToScriptHash(path, P2WPKH)
+      addrObj = keyManager.pathToScriptHash(path, addressTypeFromPath(path))
     }
     const res = []
 
@@ -422,7 +579,7 @@ class SyncManager extends EventEmitter {
       let bal = await _addr.get(utxo.address)
 
       /** @type {Object} HD wallet address info */
-      let addr = await hdWallet.getAddress(utxo.address)
+      let addr = await this._getHdAddress(utxo.address)
 
       /** @desc flag for checking if utxo matches the HD PATH **/
       utxo.own_addr = false
@@ -439,6 +596,7 @@ class SyncManager extends EventEmitter {
           res.push(utxo)
           continue
         }
+        const hdWallet = await this._hdWalletForPath(path)
         await hdWallet.addAddress(addrObj.addr)
         addr = await hdWallet.getAddress(addrObj.addr.address)
       }
@@ -455,6 +613,7 @@ class SyncManager extends EventEmitter {
       /** @desc Set UTXO address info */
       utxo.address_public_key = addr.publicKey
       utxo.address_path = addr.path
+      utxo.script_type = addressTypeFromPath(addr.path)
 
       /** @desc Skip if already processed */
       if (bal[inout].getTx(txState, point)) {
@@ -490,11 +649,74 @@ class SyncManager extends EventEmitter {
 
   isStopped () { return this._halt }
 
-  async utxoForAmount (value, strategy) {
+  isSyncing () { return this._isSyncing }
+
+  /**
+   * @description select and lock utxo for an amount
+   * @param {Bitcoin|Object} value amount to send
+   * @param {string|function} [strategy] coin selection strategy
+   * @param {Object} [opts] coin selection options
+   */
+  async utxoForAmount (value, strategy, opts) {
     if (!(value instanceof Bitcoin)) {
       value = new Bitcoin(value.amount, value.unit)
     }
-    return this._unspent.getUtxoForAmount(value, strategy)
+    return this._unspent.getUtxoForAmount(value, strategy, opts)
+  }
+
+  /**
+   * @description list unspent outputs of the wallet
+   * @param {Object} opts
+   * @param {Number} [opts.minConf=0] minimum number of confirmations
+   * @param {String} [opts.address] only outputs of this address
+   * @param {Boolean} [opts.includeLocked=false] include outputs locked by a transaction in progress
+   * @returns {Promise<Array>}
+   */
+  async getUtxos (opts = {}) {
+    const { minConf = 0, address, includeLocked = false } = opts
+    const list = await this._unspent.list()
+    const res = []
+    for (const utxo of list) {
+      if (address && utxo.address !== address) continue
+      if (utxo.locked && !includeLocked) continue
+      // @desc: history has the latest height, unspent store is updated only when the output is processed again
+      const txHeight = await this._addr.getHeight(utxo.txid)
+      const height = txHeight ?? utxo.height ?? 0
+      const confirmations = height === 0 ? 0 : this.currentBlock.current - height + 1
+      if (confirmations < minConf) continue
+      res.push({
+        txid: utxo.txid,
+        vout: utxo.index,
+        point: `${utxo.txid}:${utxo.index}`,
+        value: utxo.value,
+        address: utxo.address,
+        path: utxo.address_path,
+        publicKey: utxo.address_public_key,
+        scriptType: utxo.script_type,
+        height,
+        confirmations,
+        state: this._getTxState({ height }),
+        locked: utxo.locked,
+        frozen: utxo.frozen
+      })
+    }
+    return res
+  }
+
+  /**
+   * @description lock exactly the given utxo for spending
+   * @param {Array<String>} points list of txid:index
+   */
+  async utxoForPoints (points) {
+    return this._unspent.getUtxoForPoints(points)
+  }
+
+  async freezeUtxo (point) {
+    return this._unspent.freeze(point)
+  }
+
+  async unfreezeUtxo (point) {
+    return this._unspent.unfreeze(point)
   }
 
   getTransactions (opts, fn) {
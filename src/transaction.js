@@ -17,8 +17,28 @@ const bitcoin = require('bitcoinjs-lib')
 const { EventEmitter } = require('events')
 const Bitcoin = require('./currency.js')
 const { WalletPay } = require('lib-wallet')
+const { addressTypeFromPath } = require('./utils.js')
+const CoinSelect = require('./coin-select/index.js')
 
 const DUST_LIMIT = 546
+// @desc: input sequence that signals opt-in Replace-By-Fee (BIP125)
+const RBF_SEQUENCE = 0xfffffffd
+// @desc: minimum relay fee in sat/vbyte. A replacement must pay for its own vsize at this rate on top of the original fee
+const MIN_RELAY_FEE = 1
+
+/**
+* @description address type of an output script. P2SH outputs of the wallet are always P2SH-P2WPKH
+* @param {Buffer} script output script
+* @returns {string|null}
+*/
+function scriptType (script) {
+  if (script.length === 34 && script[0] === 0x51 && script[1] === 0x20) return 'p2tr'
+  if (script.length === 34 && script[0] === 0x00 && script[1] === 0x20) return 'p2wsh'
+  if (script.length === 22 && script[0] === 0x00 && script[1] === 0x14) return 'p2wpkh'
+  if (script.length === 23 && script[0] === 0xa9 && script[22] === 0x87) return 'p2sh-p2wpkh'
+  if (script.length === 25 && script[0] === 0x76 && script[24] === 0xac) return 'p2pkh'
+  return null
+}
 
 class Transaction extends EventEmitter {
   constructor (config) {
@@ -31,23 +51,191 @@ class Transaction extends EventEmitter {
     this._getInternalAddress = config.getInternalAddress
     this._syncManager = config.syncManager
     this._txData = []
+    // @desc: previous transactions of legacy inputs
+    this._prevTx = new Map()
+    // @desc: utxo selection of the unspent store is held by this transaction
+    this._utxoLocked = false
   }
 
   async send (opts) {
     const tx = await this._createTransaction(opts)
+    await this._broadcastLastAttempt()
+    this._syncManager.unlockUtxo(true)
+    return tx
+  }
+
+  /**
+  * @description Run utxo selection and fee calculation of a send without broadcasting it.
+  * All utxo locked for the estimate are released. Locks of a send in progress are kept.
+  * Transactions of watch-only and multisig wallets are not signed, their size is estimated.
+  * @param {Object} outgoing same options as send
+  * @returns {Promise<Object>} vSize, fee, feeRate, amount, totalSpent, inputs, change and changeDropped
+  */
+  async estimate (outgoing) {
+    // @desc: watch-only and multisig keys can't finalize the inputs, size comes from placeholder signatures
+    if (this.keyManager.watchOnly || this.keyManager.multisig) this._sign = false
+    let tx
+    try {
+      tx = await this._buildTransaction(outgoing)
+    } finally {
+      await this._releaseUtxo()
+    }
+    const attempt = this.getLastAttempt()
+    return {
+      vSize: attempt.vSize,
+      fee: attempt.fee,
+      feeRate: attempt.feeRate,
+      amount: tx.amount,
+      totalSpent: attempt.totalSpent,
+      inputs: attempt.utxo.map((utxo) => {
+        return {
+          txid: utxo.txid,
+          vout: utxo.index,
+          point: `${utxo.txid}:${utxo.index}`,
+          value: utxo.value,
+          address: utxo.address,
+          path: utxo.address_path
+        }
+      }),
+      change: new Bitcoin(attempt.change, 'base'),
+      changeDropped: attempt.dustChange > 0
+    }
+  }
+
+  /**
+  * @description Replace an unconfirmed outgoing transaction with one paying a higher fee (BIP125).
+  * The replacement spends the same inputs, pays the same recipients and takes the extra fee from the change output.
+  * @param {Object} opts
+  * @param {String} opts.txid transaction id of the transaction being replaced
+  * @param {Number} opts.feeRate new fee rate in sat/vbyte
+  * @returns {Promise<TxEntry>}
+  */
+  async bumpFee (opts) {
+    const tx = await this._createReplacement(opts)
+    await this._broadcastLastAttempt()
+    const { replaces, utxo } = this.getLastAttempt()
+    await this._syncManager.replaceUtxo(replaces, utxo.map((u) => `${u.txid}:${u.index}`))
+    return tx
+  }
+
+  /**
+  * @description Spend an unconfirmed incoming output back to the wallet with a fee high enough
+  * for the parent and child package to reach the target fee rate (Child-Pays-For-Parent).
+  * @param {Object} opts
+  * @param {String} opts.txid parent transaction id
+  * @param {Number} opts.vout index of the wallet's output in the parent
+  * @param {Number} opts.targetFeeRate package fee rate in sat/vbyte
+  * @returns {Promise<TxEntry>}
+  */
+  async cpfp (opts) {
+    const tx = await this._createChild(opts)
+    await this._broadcastLastAttempt()
+    this._syncManager.unlockUtxo(true)
+    return tx
+  }
+
+  /**
+  * @description Send all coins of an external private key to a wallet address.
+  * P2PKH, P2WPKH and P2SH-P2WPKH addresses of the key are searched for unspent outputs.
+  * @param {Object} opts
+  * @param {String} opts.wif private key in WIF
+  * @param {Number} opts.feeRate fee rate in sat/vbyte
+  * @param {Function} opts.getAddress returns the wallet address receiving the coins. Called once the key has coins to sweep
+  * @returns {Promise<TxEntry>}
+  */
+  async sweepKey (opts) {
+    const tx = await this._createSweep(opts)
+    await this._broadcastLastAttempt()
+    return tx
+  }
+
+  /**
+  * @description Build an unsigned transaction as a PSBT (BIP174) for signing elsewhere.
+  * Inputs and change output carry bip32Derivation so a signer holding the seed can sign them.
+  * Selected utxo are released, they are checked again when the signed PSBT is broadcasted.
+  * @param {Object} outgoing same options as send
+  * @returns {Promise<String>} base64 encoded PSBT
+  */
+  async createPsbt (outgoing) {
+    this._sign = false
+    try {
+      await this._buildTransaction(outgoing)
+    } finally {
+      await this._releaseUtxo()
+    }
+    return this.getLastAttempt().psbt
+  }
+
+  /**
+  * @description Finalize a signed PSBT and broadcast it. Every input must be an unspent, not frozen output of the wallet.
+  * Multisig cosigners that signed the same PSBT separately can pass a list, their partial signatures are combined.
+  * @param {String|Array<String>} base64 signed PSBT or list of PSBTs, base64 encoded
+  * @returns {Promise<TxEntry>}
+  */
+  async broadcastPsbt (base64) {
+    const tx = await this._createFromPsbt(base64)
+    await this._broadcastLastAttempt()
+    this._syncManager.unlockUtxo(true)
+    return tx
+  }
+
+  async _broadcastLastAttempt () {
     let txid
     try {
       txid = await this._broadcastTransaction(this.getLastAttempt())
     } catch (err) {
       console.log(err)
+      // @desc: a timed out broadcast may still reach the mempool, then sync marks its utxo spent
+      await this._releaseUtxo()
       throw new Error('failed to broadcast tx')
     }
     if (txid?.message) {
-      this._syncManager.unlockUtxo(false)
+      // @desc: only utxo this attempt selected. sweep and fee bump don't hold any
+      await this._releaseUtxo()
       throw new Error('Broadcast failed: ' + txid.message.split('\n').shift())
     }
-    this._syncManager.unlockUtxo(true)
-    return tx
+  }
+
+  /**
+  * @desc select utxo for an amount. The selection is held by this transaction until it is released or spent
+  */
+  async _utxoForAmount (amount, strategy, opts) {
+    const utxoSet = await this._syncManager.utxoForAmount(amount, strategy, opts)
+    this._utxoLocked = true
+    return utxoSet
+  }
+
+  async _utxoForPoints (points) {
+    const utxoSet = await this._syncManager.utxoForPoints(points)
+    this._utxoLocked = true
+    return utxoSet
+  }
+
+  /**
+  * @desc release utxo selected by this transaction. The unspent store holds one selection at a time,
+  * unlocking when this transaction didn't get it would drop the locks of a send in progress
+  */
+  async _releaseUtxo () {
+    if (!this._utxoLocked) return
+    this._utxoLocked = false
+    await this._syncManager.unlockUtxo(false)
+  }
+
+  /**
+  * @desc select utxo for a bigger amount instead of the current selection.
+  * When the wallet doesn't have enough, the current selection is locked again
+  * @param {Object} utxoSet current selection
+  * @param {Bitcoin} amount amount to select utxo for
+  * @returns {Promise<Object|null>} new selection, null when the current one is kept
+  */
+  async _moreUtxo (utxoSet, amount) {
+    await this._releaseUtxo()
+    try {
+      return await this._utxoForAmount(amount, this._coinSelection, this._coinSelectionOpts)
+    } catch (err) {
+      await this._utxoForPoints(utxoSet.utxo.map((u) => `${u.txid}:${u.index}`))
+      return null
+    }
   }
 
   getLastAttempt () {
@@ -58,110 +246,752 @@ class Transaction extends EventEmitter {
     return this.provider.broadcastTransaction(tx.hex)
   }
 
-  async _generateRawTx (utxoSet, fee, sendAmount, address, changeAddr, weight = 1) {
-    if (+sendAmount.toBaseUnit() <= DUST_LIMIT) throw new Error('send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + sendAmount.toBaseUnit())
-    const { keyManager, network } = this
-    const { utxo, total } = utxoSet
+  async _newPsbt (utxo) {
+    const { network } = this
     const psbt = new bitcoin.Psbt({ network: bitcoin.networks[network] })
 
-    utxo.forEach((utxo, index) => {
-      psbt.addInput({
-        hash: utxo.txid,
-        index: utxo.index,
-        witnessUtxo: {
-          script: Buffer.from(utxo.witness_hex, 'hex'),
-          value: +utxo.value.toBaseUnit()
+    for (const [index, u] of utxo.entries()) {
+      const script = Buffer.from(u.witness_hex, 'hex')
+      const type = u.script_type || scriptType(script)
+      const input = {
+        hash: u.txid,
+        index: u.index,
+        sequence: RBF_SEQUENCE
+      }
+      if (type === 'p2pkh') {
+        // @desc: legacy inputs sign over the whole previous transaction
+        input.nonWitnessUtxo = await this._getPrevTx(u.txid)
+      } else {
+        input.witnessUtxo = {
+          script,
+          value: +u.value.toBaseUnit()
         }
-      })
+      }
+      psbt.addInput(input)
+      psbt.updateInput(index, this._derivation(type, u.address_path, u.address_public_key))
+    }
+    return psbt
+  }
 
-      psbt.updateInput(index, {
-        bip32Derivation: [
-          {
-            masterFingerprint: keyManager.bip32.fingerprint,
-            path: utxo.address_path,
-            pubkey: Buffer.from(utxo.address_public_key, 'hex')
-          }
-        ]
+  async _getPrevTx (txid) {
+    if (!this._prevTx.has(txid)) {
+      const hex = await this.provider.getTransactionHex(txid)
+      this._prevTx.set(txid, Buffer.from(hex, 'hex'))
+    }
+    return this._prevTx.get(txid)
+  }
+
+  /**
+  * @description previous output spent by a psbt input
+  * @returns {Object} script and value
+  */
+  _prevOut (psbt, index) {
+    const { witnessUtxo, nonWitnessUtxo } = psbt.data.inputs[index]
+    if (witnessUtxo) return witnessUtxo
+    return bitcoin.Transaction.fromBuffer(nonWitnessUtxo).outs[psbt.txInputs[index].index]
+  }
+
+  /**
+  * @description bip32 derivation fields of a wallet input or output. Taproot uses x-only keys and tapBip32Derivation (BIP371).
+  * Nested segwit also needs the P2WPKH redeem script.
+  * @param {String} type address type
+  * @param {String} path HD path of the key
+  * @param {String} publicKey public key hex
+  * @returns {Object} fields for updateInput or updateOutput
+  */
+  _derivation (type, path, publicKey) {
+    // @desc: a multisig key manager gives the witness script and keys of every cosigner
+    if (type === 'p2wsh') return this.keyManager.derivation(path)
+    const masterFingerprint = this.keyManager.fingerprint
+    const pubkey = Buffer.from(publicKey, 'hex')
+    if (type === 'p2tr') {
+      const xOnly = pubkey.subarray(1, 33)
+      return {
+        tapInternalKey: xOnly,
+        tapBip32Derivation: [{ masterFingerprint, path, pubkey: xOnly, leafHashes: [] }]
+      }
+    }
+    const fields = {
+      bip32Derivation: [{ masterFingerprint, path, pubkey }]
+    }
+    if (type === 'p2sh-p2wpkh') {
+      fields.redeemScript = bitcoin.payments.p2wpkh({ pubkey }).output
+    }
+    return fields
+  }
+
+  _signPsbt (psbt) {
+    this.keyManager.signPsbtInputs(psbt)
+    psbt.finalizeAllInputs()
+    return psbt.extractTransaction()
+  }
+
+  /**
+  * @description Sign the psbt and get the details of the transaction. When signing is off,
+  * the psbt is kept unsigned and the size is estimated from an unsigned copy of the transaction.
+  * @param {Psbt} psbt
+  * @param {number} fee fee in sats
+  * @returns {Object} txid, vSize, hex, vout, feeRate and psbt when unsigned
+  */
+  _extractTx (psbt, fee) {
+    if (this._sign !== false) {
+      const tx = this._signPsbt(psbt)
+      return { txid: tx.getId(), vSize: tx.virtualSize(), hex: tx.toHex(), vout: tx.outs, feeRate: psbt.getFeeRate() }
+    }
+    const tx = this._unsignedTx(psbt)
+    const vSize = tx.virtualSize()
+    return { txid: tx.getId(), vSize, hex: null, vout: tx.outs, feeRate: Math.floor(fee / vSize), psbt: psbt.toBase64() }
+  }
+
+  /**
+  * @description Copy of the psbt transaction with placeholder scripts and witnesses of maximum signature size.
+  * Segwit txid does not depend on the witness, so the txid is the one of the signed transaction.
+  * With legacy inputs the txid is only known after signing.
+  */
+  _unsignedTx (psbt) {
+    const tx = new bitcoin.Transaction()
+    tx.version = psbt.version
+    tx.locktime = psbt.locktime
+    psbt.txInputs.forEach(({ hash, index, sequence }) => {
+      tx.addInput(Buffer.from(hash), index, sequence)
+    })
+    psbt.txOutputs.forEach(({ script, value }) => {
+      tx.addOutput(script, value)
+    })
+    tx.ins.forEach((input, index) => {
+      const type = scriptType(this._prevOut(psbt, index).script)
+      // @desc: schnorr signature for key path spend, DER signature and public key otherwise
+      if (type === 'p2tr') {
+        input.witness = [Buffer.alloc(64)]
+      } else if (type === 'p2wsh') {
+        // @desc: CHECKMULTISIG dummy element, m signatures and the witness script
+        const { witnessScript } = psbt.data.inputs[index]
+        const { m } = bitcoin.payments.p2ms({ output: witnessScript })
+        input.witness = [Buffer.alloc(0), ...Array(m).fill(Buffer.alloc(72)), witnessScript]
+      } else if (type === 'p2pkh') {
+        input.script = Buffer.alloc(107)
+      } else {
+        input.witness = [Buffer.alloc(72), Buffer.alloc(33)]
+      }
+      // @desc: push of the P2WPKH redeem script
+      if (type === 'p2sh-p2wpkh') input.script = Buffer.alloc(23)
+    })
+    return tx
+  }
+
+  /**
+  * @description Validate a signed psbt against the wallet's unspent outputs, finalize it and record it as sent.
+  * Outputs with a bip32Derivation of this wallet are treated as change.
+  */
+  async _createFromPsbt (base64) {
+    const { network, keyManager } = this
+    let psbt
+    try {
+      const [first, ...others] = [].concat(base64).map((b) => bitcoin.Psbt.fromBase64(b, { network: bitcoin.networks[network] }))
+      psbt = others.length ? first.combine(...others) : first
+    } catch (err) {
+      throw new Error('Invalid psbt: ' + err.message)
+    }
+
+    const points = psbt.txInputs.map(({ hash, index }) => `${Buffer.from(hash).reverse().toString('hex')}:${index}`)
+    const { utxo } = await this._utxoForPoints(points)
+
+    let tx
+    try {
+      utxo.forEach((u, i) => {
+        const prevOut = this._prevOut(psbt, i)
+        if (!prevOut || prevOut.value !== +u.value.toBaseUnit() || prevOut.script.toString('hex') !== u.witness_hex) {
+          throw new Error(`Input ${i} (${points[i]}): does not match wallet utxo`)
+        }
       })
+      psbt.data.inputs.forEach((input, i) => {
+        if (input.finalScriptWitness || input.finalScriptSig) return
+        try {
+          psbt.finalizeInput(i)
+        } catch (err) {
+          throw new Error(`Input ${i} (${points[i]}): not signed`)
+        }
+      })
+      tx = psbt.extractTransaction()
+    } catch (err) {
+      await this._releaseUtxo()
+      throw err
+    }
+
+    const { fingerprint } = keyManager
+    let changeAddress = null
+    let change = 0
+    const to = []
+    psbt.txOutputs.forEach(({ address, value }, i) => {
+      const output = psbt.data.outputs[i]
+      const derivation = (output.bip32Derivation || output.tapBip32Derivation || []).find((d) => d.masterFingerprint.equals(fingerprint))
+      if (derivation && !changeAddress) {
+        changeAddress = { address, publicKey: derivation.pubkey.toString('hex'), path: derivation.path }
+        change = value
+        return
+      }
+      to.push(address)
     })
 
-    const totalFee = Bitcoin.BN(fee).times(weight)
-    const change = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).minus(totalFee).toNumber()
+    const fee = psbt.getFee()
+    const received = psbt.txOutputs.reduce((sum, { value }) => sum + value, 0) - change
+    const sentTx = {
+      txid: tx.getId(),
+      changeAddress,
+      to,
+      feeRate: psbt.getFeeRate(),
+      fee,
+      totalSpent: new Bitcoin(fee + received, 'base'),
+      vSize: tx.virtualSize(),
+      hex: tx.toHex(),
+      utxo,
+      vout: tx.outs,
+      change,
+      dustChange: 0
+    }
+    this._txData.push(sentTx)
+    await this._syncManager.addSentTx(sentTx)
 
-    if (change < DUST_LIMIT) {
+    return new WalletPay.TxEntry({
+      txid: sentTx.txid,
+      to_address: to,
+      fee,
+      fee_rate: sentTx.feeRate,
+      amount: new Bitcoin(received, 'base'),
+      from_address: utxo.map(({ address }) => address),
+      direction: WalletPay.TxEntry.OUTGOING
+    })
+  }
+
+  async _generateRawTx (utxoSet, fee, outputs, changeAddr, weight = 1) {
+    const { utxo, total } = utxoSet
+    this._utxoSet = utxoSet
+    const psbt = await this._newPsbt(utxo)
+    const sendAmount = outputs.reduce((sum, out) => sum.add(out.value), new Bitcoin(0, 'main'))
+
+    let totalFee = Bitcoin.BN(fee).times(weight)
+    // @desc: when fee is subtracted from amount, recipients pay the fee and it's not taken from change
+    const subtractFee = this._subtractFeeFrom ? totalFee.toNumber() : 0
+    let change = Bitcoin.BN(total.toBaseUnit()).minus(sendAmount.toBaseUnit()).minus(totalFee).plus(subtractFee).toNumber()
+
+    if (change < 0 && this._manualUtxo) {
+      throw new Error('Selected utxo are not enough to pay for amount and fee. Need ' + (change * -1) + ' sats more')
+    }
+
+    if (change < 0) {
       // Current UTXO set is not enought to pay for amount + fee. we need to get more UTXO.
       // If there is no more UTXO. this will throw error
-      await this._syncManager.unlockUtxo(false)
+      await this._releaseUtxo()
       const newAmount = total.add(new Bitcoin(fee, 'base'))
-      const newUtxoSet = await this._syncManager.utxoForAmount(newAmount)
-      return await this._generateRawTx(newUtxoSet, fee, sendAmount, address, changeAddr, weight)
+      const newUtxoSet = await this._utxoForAmount(newAmount, this._coinSelection, this._coinSelectionOpts)
+      return await this._generateRawTx(newUtxoSet, fee, outputs, changeAddr, weight)
     }
 
-    psbt.addOutput({
-      address,
-      value: +sendAmount.toBaseUnit()
+    // @desc: a changeless selection, coin control and a fee paid by recipients pay change below dust limit as fee.
+    // Others try to select more utxo for a spendable change, and pay it as fee when the wallet has no more
+    const changeless = this._manualUtxo || this._subtractFeeFrom || CoinSelect.getStrategy(this._coinSelection) === CoinSelect.strategies['branch-and-bound']
+    if (change < DUST_LIMIT && !changeless) {
+      const newUtxoSet = await this._moreUtxo(utxoSet, total.add(new Bitcoin(fee, 'base')))
+      if (newUtxoSet) return await this._generateRawTx(newUtxoSet, fee, outputs, changeAddr, weight)
+    }
+
+    let dustChange = 0
+    if (change < DUST_LIMIT) {
+      // Change is too small to be spent. It is added to the fee and no change output is created
+      totalFee = totalFee.plus(change)
+      dustChange = change
+      change = 0
+    }
+
+    const outValues = this._outputValues(outputs, subtractFee)
+    outputs.forEach(({ address }, index) => {
+      psbt.addOutput({
+        address,
+        value: outValues[index]
+      })
     })
+    const received = new Bitcoin(outValues.reduce((sum, val) => sum + val, 0), 'base')
 
     if (change !== 0) {
       psbt.addOutput({
         address: changeAddr.address,
         value: change
       })
+      const index = psbt.txOutputs.length - 1
+      psbt.updateOutput(index, this._derivation(addressTypeFromPath(changeAddr.path), changeAddr.path, changeAddr.publicKey))
     }
 
-    utxo.forEach((u, index) => {
-      psbt.signInputHD(index, keyManager.bip32)
-    })
-    psbt.finalizeAllInputs()
-    const tx = psbt.extractTransaction()
+    const tx = this._extractTx(psbt, totalFee.toNumber())
     const sentTx = {
-      txid: tx.getId(),
+      txid: tx.txid,
       changeAddress: changeAddr,
-      to: address,
-      feeRate: psbt.getFeeRate(),
+      to: outputs.map(({ address }) => address),
+      feeRate: tx.feeRate,
       fee: totalFee.toNumber(),
-      totalSpent: new Bitcoin(totalFee.plus(sendAmount.toBaseUnit()).toNumber(), 'base'),
-      vSize: tx.virtualSize(),
-      hex: tx.toHex(),
+      totalSpent: new Bitcoin(totalFee.plus(received.toBaseUnit()).toNumber(), 'base'),
+      vSize: tx.vSize,
+      hex: tx.hex,
+      psbt: tx.psbt,
       utxo,
-      vout: tx.outs
+      vout: tx.vout,
+      change,
+      dustChange
+    }
+
+    this._txData.push(sentTx)
+
+    return new WalletPay.TxEntry({
+      txid: sentTx.txid,
+      to_address: psbt.txOutputs.map(({ address }) => address),
+      fee: sentTx.fee,
+      fee_rate: sentTx.feeRate,
+      amount: received,
+      from_address: utxo.map(({ address }) => address),
+      direction: WalletPay.TxEntry.OUTGOING
+    })
+  }
+
+  /**
+  * @description Output values in sats. The fee is split equally between outputs chosen to pay it,
+  * the first of them pays the remainder.
+  * @param {Array<Object>} outputs recipients
+  * @param {number} fee fee in sats subtracted from outputs. 0 when fee is not subtracted from amount
+  * @returns {Array<number>}
+  */
+  _outputValues (outputs, fee) {
+    const values = outputs.map(({ value }) => +value.toBaseUnit())
+    if (!fee) return values
+
+    const payers = this._subtractFeeFrom
+    const share = Math.floor(fee / payers.length)
+    const remainder = fee - share * payers.length
+    payers.forEach((index, i) => {
+      values[index] -= share + (i === 0 ? remainder : 0)
+      if (values[index] <= DUST_LIMIT) {
+        throw new Error(`Output ${index} (${outputs[index].address}): amount after fee must be bigger than dust limit ` + DUST_LIMIT + ' got: ' + values[index])
+      }
+    })
+    return values
+  }
+
+  /**
+  * @description Outputs that pay the fee when subtractFeeFromAmount is set.
+  * @param {boolean|Array<number>} subtractFeeFromAmount true for all outputs, or list of output indexes
+  * @param {Array<Object>} outputs recipients
+  * @returns {Array<number>|null} output indexes
+  */
+  _parseSubtractFee (subtractFeeFromAmount, outputs) {
+    if (!subtractFeeFromAmount) return null
+    if (subtractFeeFromAmount === true) return outputs.map((_, index) => index)
+    if (!Array.isArray(subtractFeeFromAmount) || subtractFeeFromAmount.length === 0) {
+      throw new Error('subtractFeeFromAmount must be true or a list of output indexes')
     }
+    const indexes = new Set()
+    subtractFeeFromAmount.forEach((index) => {
+      if (!Number.isInteger(index) || !outputs[index] || indexes.has(index)) {
+        throw new Error('Invalid output index for subtractFeeFromAmount: ' + index)
+      }
+      indexes.add(index)
+    })
+    return [...indexes]
+  }
+
+  /**
+  * @description Validate recipients of a transaction. A single address/amount is treated as a list of one output.
+  * @param {Object} outgoing
+  * @param {Array<Object>} [outgoing.outputs] list of { address, amount, unit }
+  * @returns {Array<Object>} list of { address, value }
+  */
+  _parseOutputs ({ outputs, address, amount, unit }) {
+    if (!outputs) outputs = [{ address, amount, unit }]
+    if (!Array.isArray(outputs) || outputs.length === 0) throw new Error('Transaction must have at least one output')
+
+    const seen = new Set()
+    return outputs.map(({ address, amount, unit }, index) => {
+      const prefix = `Output ${index} (${address}): `
+      this._validateAddress(address, prefix)
+      if (seen.has(address)) throw new Error(prefix + 'duplicate address')
+      seen.add(address)
 
+      const value = new Bitcoin(amount, unit)
+      if (+value.toBaseUnit() <= DUST_LIMIT) throw new Error(prefix + 'send amount must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + value.toBaseUnit())
+      return { address, value }
+    })
+  }
+
+  _validateAddress (address, prefix = '') {
+    try {
+      bitcoin.address.toOutputScript(address, bitcoin.networks[this.network])
+    } catch (err) {
+      throw new Error(prefix + 'invalid address for network ' + this.network)
+    }
+  }
+
+  /**
+  * @description Build a transaction that spends all inputs to one output with no change. Fee is taken from the output.
+  */
+  async _generateSendMaxTx (utxoSet, fee, address) {
+    const { utxo, total } = utxoSet
+    const psbt = await this._newPsbt(utxo)
+    const value = Bitcoin.BN(total.toBaseUnit()).minus(fee).toNumber()
+    if (value <= DUST_LIMIT) throw new Error('Amount after fee must be bigger than dust limit ' + DUST_LIMIT + ' got: ' + value)
+
+    psbt.addOutput({ address, value })
+
+    const tx = this._extractTx(psbt, fee)
+    const sentTx = {
+      txid: tx.txid,
+      changeAddress: null,
+      to: [address],
+      feeRate: tx.feeRate,
+      fee,
+      totalSpent: new Bitcoin(+total.toBaseUnit(), 'base'),
+      vSize: tx.vSize,
+      hex: tx.hex,
+      psbt: tx.psbt,
+      utxo,
+      vout: tx.vout,
+      change: 0,
+      dustChange: 0
+    }
     this._txData.push(sentTx)
 
     return new WalletPay.TxEntry({
       txid: sentTx.txid,
-      to_address: psbt.txOutputs.map(({address}) => address ),
+      to_address: [address],
       fee: sentTx.fee,
       fee_rate: sentTx.feeRate,
-      amount: sendAmount,
+      amount: new Bitcoin(value, 'base'),
       from_address: utxo.map(({ address }) => address),
       direction: WalletPay.TxEntry.OUTGOING
     })
   }
 
-  async _createTransaction ({ address, amount, unit, fee }) {
+  /**
+  * @description Send all spendable outputs, or the outputs given in outgoing.utxos, to one address.
+  */
+  async _buildSendMax (outgoing) {
+    const { address, fee } = outgoing
+    this._validateAddress(address)
+
+    let utxoSet
+    if (outgoing.utxos) {
+      utxoSet = await this._utxoForPoints(outgoing.utxos)
+    } else {
+      utxoSet = await this._utxoForAmount(new Bitcoin(0, 'main'), (utxos) => utxos)
+    }
+
+    // Simulate with no fee to get the size of the transaction
+    try {
+      await this._generateSendMaxTx(utxoSet, 0, address)
+    } catch (err) {
+      await this._releaseUtxo()
+      throw new Error('Failed to simulate tx: ' + err.message)
+    }
+
+    let finalTx
+    try {
+      finalTx = await this._generateSendMaxTx(utxoSet, Math.ceil(fee * this.getLastAttempt().vSize), address)
+    } catch (err) {
+      await this._releaseUtxo()
+      throw new Error('failed to send transaction: ' + err.message)
+    }
+    return finalTx
+  }
+
+  async _createTransaction (outgoing) {
+    const finalTx = await this._buildTransaction(outgoing)
+    await this._syncManager.addSentTx(this.getLastAttempt())
+    return finalTx
+  }
+
+  /**
+  * @description select utxo, simulate and sign a transaction. Selected utxo stay locked.
+  */
+  async _buildTransaction (outgoing) {
+    const { fee } = outgoing
     if (!fee || fee <= 0 || fee > this._max_fee_limit) throw new Error('Invalid fee ' + fee)
+    if (outgoing.sendMax) return this._buildSendMax(outgoing)
 
+    const outputs = this._parseOutputs(outgoing)
+    this._subtractFeeFrom = this._parseSubtractFee(outgoing.subtractFeeFromAmount, outputs)
+    const sendAmount = outputs.reduce((sum, out) => sum.add(out.value), new Bitcoin(0, 'main'))
     const changeAddr = await this._getInternalAddress()
-    const sendAmount = new Bitcoin(amount, unit)
-    const utxoSet = await this._syncManager.utxoForAmount({ amount, unit })
+    this._coinSelection = outgoing.coinSelection
+    this._coinSelectionOpts = {
+      feeRate: fee,
+      outputs: outputs.length,
+      costOfChange: DUST_LIMIT
+    }
+    // @desc: coin control. spend exactly these outputs and nothing else
+    this._manualUtxo = !!outgoing.utxos
+    if (this._subtractFeeFrom) {
+      // @desc: fee comes out of the amount, utxo only need to cover the amount
+      this._coinSelectionOpts.feeRate = 0
+    }
+
+    let utxoSet
+    if (this._manualUtxo) {
+      utxoSet = await this._utxoForPoints(outgoing.utxos)
+    } else {
+      utxoSet = await this._utxoForAmount(sendAmount, this._coinSelection, this._coinSelectionOpts)
+    }
 
     // Generate a fake transaction to determine weight of the transaction
     // then we create a new tx with correct fee
     let finalTx
 
     try {
-      await this._generateRawTx(utxoSet, fee, sendAmount, address, changeAddr)
+      await this._generateRawTx(utxoSet, fee, outputs, changeAddr)
     } catch (err) {
+      await this._releaseUtxo()
       throw new Error('Failed to simulate tx: ' + err.message)
     }
 
     try {
-      finalTx = await this._generateRawTx(utxoSet, fee, sendAmount, address, changeAddr, this.getLastAttempt().vSize)
+      // @desc: more utxo selected for the fee make the transaction bigger, size it again with them
+      let attempt
+      do {
+        attempt = this.getLastAttempt()
+        finalTx = await this._generateRawTx(this._utxoSet, fee, outputs, changeAddr, attempt.vSize)
+      } while (this.getLastAttempt().utxo !== attempt.utxo)
     } catch (err) {
+      await this._releaseUtxo()
       throw new Error('failed to send transaction' + err.message)
     }
+    return finalTx
+  }
+
+  /**
+  * @description Build a replacement for a sent transaction. Outputs other than change are kept as they are.
+  * If the change left after paying the new fee is below dust, it is dropped and goes to the fee.
+  */
+  async _generateReplacementTx (sent, utxo, prevOuts, changeIndex, fee) {
+    const { network } = this
+    const psbt = await this._newPsbt(utxo)
+    const feeDiff = Bitcoin.BN(fee).minus(sent.fee)
+    let sendAmount = Bitcoin.BN(0)
+
+    prevOuts.forEach((out, index) => {
+      if (index !== changeIndex) {
+        sendAmount = sendAmount.plus(out.value)
+        return psbt.addOutput({ script: out.script, value: out.value })
+      }
+      const change = Bitcoin.BN(out.value).minus(feeDiff).toNumber()
+      if (change < 0) throw new Error('Change output is too small to pay for fee bump. Need ' + feeDiff.toString() + ' sats got: ' + out.value)
+      if (change < DUST_LIMIT) return
+      psbt.addOutput({ script: out.script, value: change })
+    })
+
+    const tx = this._signPsbt(psbt)
+    const totalFee = psbt.getFee()
+    const sentTx = {
+      txid: tx.getId(),
+      changeAddress: sent.changeAddress,
+      to: sent.to,
+      feeRate: psbt.getFeeRate(),
+      fee: totalFee,
+      totalSpent: new Bitcoin(sendAmount.plus(totalFee).toNumber(), 'base'),
+      vSize: tx.virtualSize(),
+      hex: tx.toHex(),
+      utxo,
+      vout: tx.outs,
+      replaces: sent.txid
+    }
+    this._txData.push(sentTx)
+
+    return new WalletPay.TxEntry({
+      txid: sentTx.txid,
+      to_address: psbt.txOutputs.map(({ script }) => bitcoin.address.fromOutputScript(script, bitcoin.networks[network])),
+      fee: sentTx.fee,
+      fee_rate: sentTx.feeRate,
+      amount: new Bitcoin(sendAmount.toNumber(), 'base'),
+      from_address: utxo.map(({ address }) => address),
+      direction: WalletPay.TxEntry.OUTGOING
+    })
+  }
+
+  async _generateChildTx (utxo, changeAddr, fee) {
+    const psbt = await this._newPsbt([utxo])
+    const value = Bitcoin.BN(utxo.value.toBaseUnit()).minus(fee).toNumber()
+    if (value < DUST_LIMIT) throw new Error('Output is too small to pay for child fee ' + fee + ' got: ' + utxo.value.toBaseUnit())
+
+    psbt.addOutput({
+      address: changeAddr.address,
+      value
+    })
+
+    const tx = this._signPsbt(psbt)
+    const sentTx = {
+      txid: tx.getId(),
+      changeAddress: changeAddr,
+      to: changeAddr.address,
+      feeRate: psbt.getFeeRate(),
+      fee,
+      totalSpent: new Bitcoin(fee, 'base'),
+      vSize: tx.virtualSize(),
+      hex: tx.toHex(),
+      utxo: [utxo],
+      vout: tx.outs,
+      parent: utxo.txid
+    }
+    this._txData.push(sentTx)
+
+    return new WalletPay.TxEntry({
+      txid: sentTx.txid,
+      to_address: [changeAddr.address],
+      fee: sentTx.fee,
+      fee_rate: sentTx.feeRate,
+      amount: new Bitcoin(value, 'base'),
+      from_address: [utxo.address],
+      direction: WalletPay.TxEntry.INTERNAL
+    })
+  }
+
+  async _createSweep ({ wif, feeRate, getAddress }) {
+    if (!feeRate || feeRate <= 0 || feeRate > this._max_fee_limit) throw new Error('Invalid fee ' + feeRate)
+    const { signer, payments } = this.keyManager.externalKey(wif)
+
+    try {
+      const utxo = []
+      for (const payment of payments) {
+        const unspent = await this.provider.getUnspent(this.keyManager.addressToScriptHash(payment.address))
+        unspent.forEach((u) => utxo.push({ ...payment, txid: u.tx_hash, index: u.tx_pos, value: u.value }))
+      }
+      if (utxo.length === 0) throw new Error('No unspent outputs found for private key')
+      const address = await getAddress()
+
+      const total = utxo.reduce((sum, u) => sum + u.value, 0)
+      // @desc: size of the transaction with one output of the whole amount gives the fee
+      const vSize = this._unsignedTx(await this._sweepPsbt(utxo, address, total)).virtualSize()
+      const fee = Math.ceil(feeRate * vSize)
+      const value = total - fee
+      if (value < DUST_LIMIT) throw new Error('Amount is too small to pay for fee ' + fee + ' got: ' + total)
+
+      const psbt = await this._sweepPsbt(utxo, address, value)
+      psbt.signAllInputs(signer)
+      psbt.finalizeAllInputs()
+      const tx = psbt.extractTransaction()
+      const sentTx = {
+        txid: tx.getId(),
+        to: [address.address],
+        feeRate: psbt.getFeeRate(),
+        fee,
+        vSize: tx.virtualSize(),
+        hex: tx.toHex(),
+        utxo: [],
+        vout: tx.outs
+      }
+      this._txData.push(sentTx)
+
+      return new WalletPay.TxEntry({
+        txid: sentTx.txid,
+        to_address: [address.address],
+        fee,
+        fee_rate: sentTx.feeRate,
+        amount: new Bitcoin(value, 'base'),
+        from_address: [...new Set(utxo.map((u) => u.address))],
+        direction: WalletPay.TxEntry.INCOMING
+      })
+    } finally {
+      signer.privateKey.fill(0)
+    }
+  }
+
+  async _sweepPsbt (utxo, address, value) {
+    const psbt = new bitcoin.Psbt({ network: bitcoin.networks[this.network] })
+    for (const u of utxo) {
+      const input = {
+        hash: u.txid,
+        index: u.index,
+        sequence: RBF_SEQUENCE
+      }
+      if (u.addressType === 'p2pkh') {
+        input.nonWitnessUtxo = await this._getPrevTx(u.txid)
+      } else {
+        input.witnessUtxo = { script: u.script, value: u.value }
+      }
+      if (u.redeemScript) input.redeemScript = u.redeemScript
+      psbt.addInput(input)
+    }
+    psbt.addOutput({ address: address.address, value })
+    return psbt
+  }
+
+  async _createChild ({ txid, vout, targetFeeRate }) {
+    if (!targetFeeRate || targetFeeRate <= 0 || targetFeeRate > this._max_fee_limit) throw new Error('Invalid fee ' + targetFeeRate)
+
+    const point = txid + ':' + vout
+    const utxo = await this._syncManager.getUtxo(point)
+    if (!utxo) throw new Error('Output not found or already spent: ' + point)
+
+    const parent = await this.provider.getTransaction(txid, { cache: false })
+    if (parent.height !== 0) throw new Error('Transaction is already confirmed: ' + txid)
+    const parentFee = +parent.fee.toBaseUnit()
+    if (parentFee / parent.vsize >= targetFeeRate) throw new Error('Parent fee rate already meets target fee rate ' + targetFeeRate)
+
+    const changeAddr = await this._getInternalAddress()
+    await this._utxoForPoints([point])
+
+    // Simulate the child to get its size, then pay for the size of both transactions
+    try {
+      await this._generateChildTx(utxo, changeAddr, 0)
+    } catch (err) {
+      await this._releaseUtxo()
+      throw new Error('Failed to simulate tx: ' + err.message)
+    }
+    const { vSize } = this.getLastAttempt()
+    const fee = Math.ceil(targetFeeRate * (parent.vsize + vSize)) - parentFee
+
+    let finalTx
+    try {
+      finalTx = await this._generateChildTx(utxo, changeAddr, fee)
+    } catch (err) {
+      await this._releaseUtxo()
+      throw new Error('failed to create child tx: ' + err.message)
+    }
+
+    await this._syncManager.addSentTx(this.getLastAttempt())
+    return finalTx
+  }
+
+  async _createReplacement ({ txid, feeRate }) {
+    if (!feeRate || feeRate <= 0 || feeRate > this._max_fee_limit) throw new Error('Invalid fee ' + feeRate)
+
+    const sent = await this._syncManager.getSentTx(txid)
+    if (!sent) throw new Error('Transaction was not sent by this wallet: ' + txid)
+    if (feeRate <= sent.feeRate) throw new Error('Fee rate must be higher than current fee rate ' + sent.feeRate + ' got: ' + feeRate)
+
+    const current = await this.provider.getTransaction(txid, { cache: false })
+    if (current.height !== 0) throw new Error('Transaction is already confirmed: ' + txid)
+
+    const network = bitcoin.networks[this.network]
+    const prevOuts = bitcoin.Transaction.fromHex(sent.hex).outs
+    const changeIndex = prevOuts.findIndex(({ script }) => {
+      return bitcoin.address.fromOutputScript(script, network) === sent.changeAddress?.address
+    })
+    if (changeIndex === -1) throw new Error('Transaction has no change output to pay for fee bump: ' + txid)
+
+    const utxo = sent.utxo.map((u) => {
+      return { ...u, value: new Bitcoin(u.value) }
+    })
+
+    // Simulate the replacement to get its size. BIP125 requires the new fee to cover the old fee
+    // plus the relay fee of the replacement itself.
+    try {
+      await this._generateReplacementTx(sent, utxo, prevOuts, changeIndex, sent.fee)
+    } catch (err) {
+      throw new Error('Failed to simulate tx: ' + err.message)
+    }
+    const { vSize } = this.getLastAttempt()
+    const fee = Math.max(Math.ceil(feeRate * vSize), sent.fee + vSize * MIN_RELAY_FEE)
+
+    let finalTx
+    try {
+      finalTx = await this._generateReplacementTx(sent, utxo, prevOuts, changeIndex, fee)
+    } catch (err) {
+      throw new Error('failed to bump fee: ' + err.message)
+    }
 
     await this._syncManager.addSentTx(this.getLastAttempt())
     return finalTx
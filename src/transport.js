@@ -0,0 +1,150 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+const { EventEmitter } = require('events')
+
+/**
+* @description Connection to an Electrum server used by the provider. A transport only moves messages,
+* JSON-RPC framing, request tracking and subscriptions are done by the provider.
+* Transports emit connect, data (string), error and close events. data is a newline delimited stream.
+*/
+
+/**
+* @class SocketTransport
+* @desc Raw TCP or TLS socket. Messages are newline delimited
+* @param {Object} config
+* @param {Object} config.server server of the pool { host, port, protocol }
+* @param {Object} config.net net module
+* @param {Object} config.tls tls module
+* @param {Object} [config.tlsOptions] options for tls.connect
+*/
+class SocketTransport extends EventEmitter {
+  constructor (config) {
+    super()
+    this._server = config.server
+    this._net = config.net
+    this._tls = config.tls
+    this._tlsOptions = config.tlsOptions
+  }
+
+  open () {
+    const { host, port, protocol } = this._server
+    const onConnect = () => this.emit('connect')
+    const socket = protocol === 'tls'
+      ? this._tls.connect(this._tlsOptions, onConnect)
+      : this._net.createConnection(port, host, onConnect)
+    this._socket = socket
+    // @desc: decodes utf8 characters split across chunks
+    socket.setEncoding('utf8')
+    socket.on('data', (data) => this.emit('data', data))
+    socket.once('end', () => this.emit('end'))
+    socket.once('error', (err) => this.emit('error', err))
+    socket.once('close', () => this.emit('close'))
+  }
+
+  get destroyed () {
+    return !this._socket || this._socket.destroyed
+  }
+
+  send (message) {
+    this._socket.write(message + '\n')
+  }
+
+  /**
+  * @desc close gracefully. close is emitted when done
+  */
+  end () {
+    this._socket.end()
+  }
+
+  destroy (err) {
+    this._socket.destroy(err)
+  }
+
+  getPeerCertificate () {
+    return this._socket.getPeerCertificate ? this._socket.getPeerCertificate() : null
+  }
+}
+
+/**
+* @class WebSocketTransport
+* @desc WebSocket connection, as served by Fulcrum. Every message is one JSON-RPC message
+* @param {Object} config
+* @param {Object} config.server server of the pool { host, port, protocol }
+* @param {Function} [config.WebSocket] WebSocket class. Default is the global WebSocket
+* @param {Object} [config.options] options for WebSocket classes that accept them, like the ws package
+*/
+class WebSocketTransport extends EventEmitter {
+  constructor (config) {
+    super()
+    this._server = config.server
+    this._WebSocket = config.WebSocket || globalThis.WebSocket
+    this._options = config.options
+    this._destroyed = false
+  }
+
+  get url () {
+    const { host, port, protocol } = this._server
+    const hostname = host.includes(':') ? `[${host}]` : host
+    return `${protocol}://${hostname}:${port}`
+  }
+
+  open () {
+    if (!this._WebSocket) throw new Error('WebSocket is not available in this runtime, pass config.WebSocket')
+    const ws = this._options ? new this._WebSocket(this.url, this._options) : new this._WebSocket(this.url)
+    this._ws = ws
+    const decoder = new TextDecoder()
+    ws.onopen = () => this.emit('connect')
+    ws.onmessage = (event) => {
+      // @desc: a message is a complete line of the newline delimited stream the provider reads
+      const message = typeof event.data === 'string' ? event.data : decoder.decode(event.data)
+      this.emit('data', message + '\n')
+    }
+    ws.onerror = (event) => this.emit('error', event.error || new Error('WebSocket error'))
+    ws.onclose = () => {
+      this._destroyed = true
+      this.emit('close')
+    }
+  }
+
+  get destroyed () {
+    return this._destroyed || !this._ws
+  }
+
+  send (message) {
+    this._ws.send(message)
+  }
+
+  end () {
+    this._ws.close()
+  }
+
+  destroy (err) {
+    if (this._destroyed) return
+    this._destroyed = true
+    if (err) this.emit('error', err)
+    if (this._ws.terminate) return this._ws.terminate()
+    this._ws.close()
+  }
+
+  getPeerCertificate () {
+    return null
+  }
+}
+
+module.exports = {
+  SocketTransport,
+  WebSocketTransport
+}
@@ -14,6 +14,7 @@
 
 'use strict'
 const Bitcoin = require('./currency')
+const CoinSelect = require('./coin-select/index.js')
 
 /**
  * @description Class for storing Bitcoin VIN and VOUT
@@ -30,8 +31,13 @@ class VinVout {
 
   async push (utxo) {
     const key = this.vtype === 'vout' ? utxo.txid + ':' + utxo.index : utxo.prev_txid + ':' + utxo.prev_index
-    if (await this.store.get(key)) return
-    return this.store.put(key, utxo)
+    const current = await this.store.get(key)
+    if (!current) return this.store.put(key, utxo)
+    // @desc: output first seen in mempool gets the height of the block that confirmed it
+    if (this.vtype === 'vout' && current.height !== utxo.height) {
+      current.height = utxo.height
+      return this.store.put(key, current)
+    }
   }
 
   async filter (cb) {
@@ -83,6 +89,7 @@ class UnspentStore {
     await this.vin.init()
     await this.vout.init()
     this.locked = await this.store.get('utxo_lock') || []
+    this.frozen = await this.store.get('utxo_frozen') || []
     this._lockedUtxo = []
     this._spentUtxo = []
     await this.process()
@@ -122,17 +129,98 @@ class UnspentStore {
 
   /** desc: lock a ouput **/
   async lock (id) {
-    const exists = await this.vout.some((utxo) => utxo.txid === id)
+    const exists = await this.vout.some((utxo) => `${utxo.txid}:${utxo.index}` === id)
     if (this.locked.includes(id) || !exists) return false
     this.locked.push(id)
     return true
   }
 
-  getUtxoForAmount (amount, strategy) {
+  /**
+  * @description freeze an unspent output. Frozen outputs are never selected for spending
+  * @param {string} point txid:index
+  */
+  async freeze (point) {
+    if (!(await this.vout.get(point))) throw new Error('Utxo not found: ' + point)
+    if (this.frozen.includes(point)) return
+    this.frozen.push(point)
+    await this.store.put('utxo_frozen', this.frozen)
+  }
+
+  /**
+  * @description unfreeze an unspent output
+  * @param {string} point txid:index
+  */
+  async unfreeze (point) {
+    if (!this.frozen.includes(point)) return
+    this.frozen = this.frozen.filter((pt) => pt !== point)
+    await this.store.put('utxo_frozen', this.frozen)
+  }
+
+  isFrozen (point) {
+    return this.frozen.includes(point)
+  }
+
+  /**
+  * @description get an unspent output by its point. Returns null if the output is spent, locked or frozen
+  * @param {string} point txid:index
+  */
+  async getUtxo (point) {
+    if (this.locked.includes(point) || this._spentUtxo.includes(point) || this.isFrozen(point)) return null
+    const utxo = await this.vout.get(point)
+    if (!utxo) return null
+    utxo.value = new Bitcoin(utxo.value)
+    return utxo
+  }
+
+  /**
+  * @description select unspent outputs for an amount and lock them for spending
+  * @param {Bitcoin} amount amount to send
+  * @param {string|function} [strategy] coin selection strategy. see coin-select/index.js
+  * @param {Object} [opts] options passed to the strategy. feeRate, outputs, costOfChange
+  */
+  async getUtxoForAmount (amount, strategy, opts = {}) {
     if (!this.ready) throw new Error('not ready. tx in progress')
     this.ready = false
-    // small to large
-    return this._smallToLarge(amount)
+    try {
+      return await this._selectUtxo(amount, CoinSelect.getStrategy(strategy), opts)
+    } catch (err) {
+      this.locked = []
+      this.ready = true
+      throw err
+    }
+  }
+
+  /**
+  * @description lock exactly the given unspent outputs for spending
+  * @param {Array<string>} points list of txid:index
+  */
+  async getUtxoForPoints (points) {
+    if (!this.ready) throw new Error('not ready. tx in progress')
+    this.ready = false
+    try {
+      return await this._selectPoints(points)
+    } catch (err) {
+      this.locked = []
+      this.ready = true
+      throw err
+    }
+  }
+
+  async _selectPoints (points) {
+    if (!Array.isArray(points) || points.length === 0) throw new Error('No utxo selected')
+    const utxo = []
+    let total = new Bitcoin(0, 'main')
+    for (const pt of points) {
+      if (this.isFrozen(pt)) throw new Error('Utxo is frozen: ' + pt)
+      if (this.locked.includes(pt) || this._spentUtxo.includes(pt)) throw new Error('Utxo is locked or spent: ' + pt)
+      const v = await this.vout.get(pt)
+      if (!v) throw new Error('Utxo not found: ' + pt)
+      v.value = new Bitcoin(v.value)
+      utxo.push(v)
+      total = total.add(v.value)
+      await this.lock(pt)
+    }
+    return { utxo, total }
   }
 
   /**
@@ -148,7 +236,7 @@ class UnspentStore {
 
     await Promise.all(this.locked.map(async (id) => {
       this._spentUtxo.push(id)
-      return this.vout.filter((utxo) => utxo.txid !== id)
+      return this.vout.filter((utxo) => `${utxo.txid}:${utxo.index}` !== id)
     }))
 
     this.locked = []
@@ -156,26 +244,57 @@ class UnspentStore {
   }
 
   /**
-  * @description collect unspent outputs for performing a tx
-  * TODO: ADD UTXO selection args here
+  * @description a transaction has been replaced (BIP125). Drop outputs of the replaced transaction
+  * and mark outputs spent by the replacement so they are not selected again.
+  * @param {string} txid id of the replaced transaction
+  * @param {Array<string>} points outputs spent by the replacement, txid:index
   */
-  async _smallToLarge (amount) {
-    let total = new Bitcoin(0, amount.type)
+  async replaceTx (txid, points = []) {
+    points.forEach((pt) => {
+      if (!this._spentUtxo.includes(pt)) this._spentUtxo.push(pt)
+    })
+    await this.vout.filter((utxo) => utxo.txid !== txid)
+  }
+
+  /**
+  * @description all unspent outputs with their lock and frozen state
+  * @returns {Promise<Array>}
+  */
+  async list () {
     const utxo = []
-    let done = false
+    await this.vout.entries(async (v, pt) => {
+      if (this._spentUtxo.includes(pt)) return
+      v.locked = this.locked.includes(pt)
+      v.frozen = this.isFrozen(pt)
+      utxo.push(v)
+    })
+    return utxo
+  }
 
+  /**
+  * @description unspent outputs that are not locked, spent or frozen
+  */
+  async _spendable () {
+    const utxo = []
     await this.vout.entries(async (v) => {
       const pt = `${v.txid}:${v.index}`
-      if (this.locked.includes(pt) || done) return
-      if (this._spentUtxo.includes(pt) || done) return
-      total = total.add(v.value)
+      if (this.locked.includes(pt) || this._spentUtxo.includes(pt) || this.isFrozen(pt)) return
       utxo.push(v)
-      await this.lock(pt)
-      if (total.gte(amount)) {
-        // TODO: SOME loop
-        done = true
-      }
     })
+    return utxo
+  }
+
+  /**
+  * @description collect unspent outputs for performing a tx
+  */
+  async _selectUtxo (amount, select, opts) {
+    const utxo = select(await this._spendable(), +amount.toBaseUnit(), opts)
+    let total = new Bitcoin(0, amount.type)
+
+    for (const v of utxo) {
+      total = total.add(v.value)
+      await this.lock(`${v.txid}:${v.index}`)
+    }
     const diff = total.minus(amount)
 
     if (utxo.length === 0) {
@@ -14,6 +14,52 @@
 
 'use strict'
 const { EventEmitter } = require('events')
+const bitcoin = require('bitcoinjs-lib')
+
+// @desc: BIP44 purpose of each supported address type
+const PURPOSE = {
+  p2pkh: "44'",
+  'p2sh-p2wpkh': "49'",
+  p2wpkh: "84'",
+  p2tr: "86'",
+  p2wsh: "48'"
+}
+
+/**
+* @description address type of an HD path, from its purpose
+* @param {string} path HD path. example: m/84'/0'/0'/0/1
+* @returns {string|undefined} address type. example: p2wpkh
+*/
+function addressTypeFromPath (path) {
+  const purpose = path.split('/')[1]
+  return Object.keys(PURPOSE).find((type) => PURPOSE[type] === purpose)
+}
+
+/**
+* @description Generate a script hash from a address
+* @param {string} addr - bitcoin address
+* @param {Object} network - bitcoinjs network
+* @returns {string} script hash in hex string
+* */
+function addressToScriptHash (addr, network) {
+  const script = bitcoin.address.toOutputScript(addr, network)
+  const hash = bitcoin.crypto.sha256(script)
+  const reversedHash = Buffer.from(hash.reverse())
+  return reversedHash.toString('hex')
+}
+
+/**
+* @description generate a script hash from HD path
+* @param {Object} keyManager - key manager that derives the address
+* @param {string} path HD path
+* @param {string} addrtype. address type
+* @return {Object} Hash as string hex and address object
+**/
+function pathToScriptHash (keyManager, path, addrType) {
+  const addr = keyManager.addrFromPath(path, addrType)
+  const hash = keyManager.addressToScriptHash(addr.address)
+  return { hash, addr }
+}
 
 class StateDb {
   constructor (config) {
@@ -44,6 +90,14 @@ class StateDb {
     return this.store.get('total_balance')
   }
 
+  async getAccounts () {
+    return await (this.store.get('accounts')) || []
+  }
+
+  async setAccounts (accounts) {
+    return this.store.put('accounts', accounts)
+  }
+
   async getLatestBlock () {
     return await (this.store.get('latest_block')) || 0
   }
@@ -100,5 +154,9 @@ class BlockCounter extends EventEmitter {
 
 module.exports = {
   BlockCounter,
-  StateDb
+  StateDb,
+  PURPOSE,
+  addressTypeFromPath,
+  addressToScriptHash,
+  pathToScriptHash
 }
@@ -14,19 +14,54 @@
 
 'use strict'
 let bip32
+let ECPair
 const bitcoin = require('bitcoinjs-lib')
 const { BIP32Factory } = require('bip32')
+const { ECPairFactory } = require('ecpair')
+const descriptor = require('./descriptor.js')
+const { addressToScriptHash, pathToScriptHash } = require('./utils.js')
+const message = require('./message.js')
 
 let ecc = require('@bitcoinerlab/secp256k1')
 
 async function loadWASM () {
   ecc = await ecc
   bip32 = BIP32Factory(ecc)
+  ECPair = ECPairFactory(ecc)
+  // @desc: taproot payments and schnorr signing need an ecc library
+  bitcoin.initEccLib(ecc)
 }
 
+// @desc: version bytes of extended public keys (SLIP-0132). The prefix tells the network and for some the address type
+const XPUB_VERSIONS = {
+  xpub: { version: 0x0488b21e, network: 'bitcoin' },
+  ypub: { version: 0x049d7cb2, network: 'bitcoin', addressType: 'p2sh-p2wpkh' },
+  zpub: { version: 0x04b24746, network: 'bitcoin', addressType: 'p2wpkh' },
+  tpub: { version: 0x043587cf, network: 'testnet' },
+  upub: { version: 0x044a5262, network: 'testnet', addressType: 'p2sh-p2wpkh' },
+  vpub: { version: 0x045f1cf6, network: 'testnet', addressType: 'p2wpkh' }
+}
+
+// @desc: 32 byte x-only public key used by taproot (BIP340)
+function toXOnly (pubkey) {
+  return pubkey.length === 32 ? pubkey : pubkey.subarray(1, 33)
+}
+
+/**
+* @param {Object} config
+* @param {Seed} [config.seed] - seed
+* @param {string} [config.xpub] - account extended public key (xpub/ypub/zpub/tpub/upub/vpub) for a watch-only key manager
+* @param {string} [config.fingerprint] - master key fingerprint in hex of a watch-only key manager. used in PSBT for external signers
+* @param {string} [config.descriptor] - output descriptor of an account (BIP380) for a watch-only key manager
+* @param {string} [config.network] - network
+* @param {boolean} [config.hardened=false] - hardened key handling: address objects carry only public data.
+* Private keys are derived inside signing calls and wiped after use, exportPrivateKey is the only way to get one.
+*/
 class WalletKeyBitcoin {
   constructor (config = {}) {
     this._config = config
+    this.watchOnly = false
+    this.hardened = !!config.hardened
   }
 
   async init () {
@@ -36,6 +71,12 @@ class WalletKeyBitcoin {
       this.seed = config.seed
       this.bip32 = bip32.fromSeed(this.seed.seed, bitcoin.networks.bitcoin)
       this.ready = true
+    } else if (config.xpub) {
+      this._setXpub(config.xpub, config.fingerprint)
+      this.ready = true
+    } else if (config.descriptor) {
+      this._setDescriptor(config.descriptor)
+      this.ready = true
     } else {
       this.ready = false
     }
@@ -56,6 +97,83 @@ class WalletKeyBitcoin {
     this.bip32 = null
   }
 
+  /**
+  * @desc Load an account level extended public key. Only addresses of that account can be derived and nothing can be signed
+  */
+  _setXpub (xpub, fingerprint) {
+    const prefix = XPUB_VERSIONS[xpub.slice(0, 4)]
+    if (!prefix) throw new Error('Unsupported extended public key')
+    const network = { ...bitcoin.networks[prefix.network], bip32: { public: prefix.version, private: 0 } }
+    const node = bip32.fromBase58(xpub, network)
+    if (!node.isNeutered()) throw new Error('Extended key must be a public key')
+    if (node.depth !== 3) throw new Error('Extended public key must be of an account, depth 3')
+    this.bip32 = node
+    this.watchOnly = true
+    // @desc: address type given by the key prefix, if any
+    this.addressType = prefix.addressType || null
+    this._fingerprint = fingerprint ? Buffer.from(fingerprint, 'hex') : Buffer.alloc(4)
+  }
+
+  /**
+  * @desc Load the account key of a descriptor. Address type comes from the script expression of the descriptor
+  */
+  _setDescriptor (desc) {
+    const { xpub, fingerprint, path, addressType } = descriptor.parse(desc)
+    this._setXpub(xpub, fingerprint)
+    if (path && path.split('/').length !== 4) throw new Error('Descriptor key must be of an account: ' + path)
+    this.addressType = addressType
+  }
+
+  /**
+  * @description Create a watch-only key manager from an account descriptor
+  * @param {string} desc - descriptor with checksum. example: wpkh([73c5da0a/84'/0'/0']xpub.../0/*)#checksum
+  * @param {Object} [config] - other key manager options, like network
+  * @returns {Promise<WalletKeyBitcoin>}
+  */
+  static async fromDescriptor (desc, config = {}) {
+    const km = new WalletKeyBitcoin({ ...config, descriptor: desc })
+    await km.init()
+    return km
+  }
+
+  /**
+  * @description extended public key of an account, encoded for the current network (xpub or tpub)
+  * @param {string} path - account path. example: m/84'/0'/0'
+  * @returns {Object} xpub, fingerprint in hex and path
+  */
+  accountXpub (path) {
+    let node
+    if (this.watchOnly) {
+      if (path.split('/')[3] !== `${this.bip32.index & 0x7fffffff}'`) throw new Error('Path is not the account of the extended public key: ' + path)
+      node = this.bip32.neutered()
+    } else {
+      node = this.bip32.derivePath(path).neutered()
+    }
+    node.network = this.network
+    return { xpub: node.toBase58(), fingerprint: this.fingerprint.toString('hex'), path }
+  }
+
+  /**
+  * @description fingerprint of the master key, for bip32Derivation of PSBT inputs and outputs
+  * @returns {Buffer}
+  */
+  get fingerprint () {
+    return this.watchOnly ? this._fingerprint : this.bip32.fingerprint
+  }
+
+  /**
+  * @desc Derive a full BIP32 path. A watch-only key derives change and index from the account key
+  */
+  _derive (path) {
+    if (!this.watchOnly) return this.bip32.derivePath(path)
+    const parts = path.split('/')
+    // @desc: m / purpose' / coin_type' / account' / change / index
+    if (parts.length !== 6 || parts[3] !== `${this.bip32.index & 0x7fffffff}'`) {
+      throw new Error('Path is not in the account of the extended public key: ' + path)
+    }
+    return this.bip32.derive(+parts[4]).derive(+parts[5])
+  }
+
   setSeed (seed) {
     if (this.seed) throw new Error('Seed already set')
     if (!this.network) throw new Error('Network not set')
@@ -65,21 +183,186 @@ class WalletKeyBitcoin {
     this.ready = true
   }
 
+  /**
+  * @desc Derive the private key of a path, pass it to fn and wipe it when fn is done
+  */
+  _withPrivateKey (path, fn) {
+    if (this.watchOnly) throw new Error('Watch-only key manager cannot sign')
+    const node = this._derive(path)
+    const wipe = () => node.privateKey.fill(0)
+    let res
+    try {
+      res = fn(node)
+    } catch (err) {
+      wipe()
+      throw err
+    }
+    if (res instanceof Promise) return res.finally(wipe)
+    wipe()
+    return res
+  }
+
   /**
   * @param {string} path - BIP32 path
-  * @param {string} addrType - Address type. example: p2wkh
+  * @param {string} addrType - Address type: p2pkh, p2sh-p2wpkh, p2wpkh or p2tr
   * @returns {string} - Address
-  * @desc Derives a bitcoin address from a BIP32 path
+  * @desc Derives a bitcoin address from a BIP32 path. In hardened mode the address has no private key
   */
   addrFromPath (path, addrType) {
-    const node = this.bip32.derivePath(path)
-    const address = bitcoin.payments[addrType]({ pubkey: node.publicKey, network: this.network }).address
-    return {
+    const node = this._derive(path)
+    const address = this._payment(node.publicKey, addrType).address
+    const addr = {
       address,
       publicKey: node.publicKey.toString('hex'),
-      privateKey: node.toWIF(),
       path
     }
+    if (!this.hardened) addr.privateKey = node.privateKey ? node.toWIF() : null
+    if (node.privateKey) node.privateKey.fill(0)
+    return addr
+  }
+
+  /**
+  * @description Private key of a path, for the rare cases that need it like importing an address in another wallet
+  * @param {string} path - BIP32 path
+  * @returns {string} private key in WIF
+  */
+  exportPrivateKey (path) {
+    return this._withPrivateKey(path, (node) => {
+      node.network = this.network
+      return node.toWIF()
+    })
+  }
+
+  /**
+  * @param {Buffer} pubkey - public key
+  * @param {string} addrType - Address type. example: p2wpkh
+  * @returns {Object} bitcoinjs payment
+  * @desc P2TR (BIP86) commits to the internal key tweaked with no script tree. P2SH-P2WPKH (BIP49) wraps a P2WPKH script in P2SH
+  */
+  _payment (pubkey, addrType) {
+    const { network } = this
+    if (addrType === 'p2tr') {
+      return bitcoin.payments.p2tr({ internalPubkey: toXOnly(pubkey), network })
+    }
+    if (addrType === 'p2sh-p2wpkh') {
+      return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey, network }), network })
+    }
+    return bitcoin.payments[addrType]({ pubkey, network })
+  }
+
+  /**
+  * @description Key pair of an external private key and its addresses, to sweep its coins into the wallet.
+  * Segwit addresses are only made for compressed keys.
+  * @param {string} wif - private key in WIF
+  * @returns {Object} signer and list of { addressType, address, script, redeemScript }
+  */
+  externalKey (wif) {
+    let signer
+    try {
+      signer = ECPair.fromWIF(wif, this.network)
+    } catch (err) {
+      throw new Error('Invalid private key: ' + err.message)
+    }
+    const types = signer.compressed ? ['p2pkh', 'p2wpkh', 'p2sh-p2wpkh'] : ['p2pkh']
+    const payments = types.map((addressType) => {
+      const payment = this._payment(signer.publicKey, addressType)
+      return {
+        addressType,
+        address: payment.address,
+        script: payment.output,
+        redeemScript: payment.redeem ? payment.redeem.output : null
+      }
+    })
+    return { signer, payments }
+  }
+
+  /**
+  * @description Sign every input of a PSBT whose bip32Derivation belongs to this seed
+  * @param {string} psbt - base64 encoded PSBT
+  * @returns {string} signed PSBT, base64 encoded. Inputs are not finalized
+  */
+  signPsbt (psbt) {
+    if (this.watchOnly) throw new Error('Watch-only key manager cannot sign')
+    const p = bitcoin.Psbt.fromBase64(psbt, { network: this.network })
+    this.signPsbtInputs(p)
+    return p.toBase64()
+  }
+
+  /**
+  * @description Sign inputs of a Psbt that belong to this seed. Taproot inputs are found by tapBip32Derivation
+  * and signed with Schnorr, others by bip32Derivation. Inputs without a derivation of this seed are skipped,
+  * an input of this seed that can't be signed throws.
+  * @param {Psbt} psbt - bitcoinjs Psbt
+  * @returns {Psbt}
+  */
+  signPsbtInputs (psbt) {
+    if (this.watchOnly) throw new Error('Watch-only key manager cannot sign')
+    let signed = 0
+    psbt.data.inputs.forEach((input, index) => {
+      const isSigned = input.tapBip32Derivation
+        ? this._signTaprootInput(psbt, index, input)
+        : this._signInput(psbt, index, input)
+      if (isSigned) signed++
+    })
+    if (signed === 0) throw new Error('No inputs were signed')
+    return psbt
+  }
+
+  /**
+  * @desc Sign with the key of the bip32Derivation of this seed. Same as Psbt.signInputHD, but the key is wiped after
+  * @returns {boolean} false if the input has no bip32Derivation of this seed
+  */
+  _signInput (psbt, index, input) {
+    const { fingerprint } = this.bip32
+    const derivation = (input.bip32Derivation || []).find((d) => d.masterFingerprint.equals(fingerprint))
+    if (!derivation) return false
+    this._withPrivateKey(derivation.path, (node) => {
+      if (!node.publicKey.equals(derivation.pubkey)) throw new Error('pubkey did not match bip32Derivation of input ' + index)
+      psbt.signInput(index, node)
+    })
+    return true
+  }
+
+  /**
+  * @desc Key path spend of a BIP86 output. The signing key is tweaked with the hash of the internal key
+  * @returns {boolean} false if the input has no tapBip32Derivation of this seed
+  */
+  _signTaprootInput (psbt, index, input) {
+    const { fingerprint } = this.bip32
+    const derivation = input.tapBip32Derivation.find((d) => d.masterFingerprint.equals(fingerprint))
+    if (!derivation) return false
+    this._withPrivateKey(derivation.path, (node) => {
+      if (!toXOnly(node.publicKey).equals(derivation.pubkey)) throw new Error('pubkey did not match tapBip32Derivation of input ' + index)
+      const signer = node.tweak(bitcoin.crypto.taggedHash('TapTweak', derivation.pubkey))
+      try {
+        psbt.signInput(index, signer)
+      } finally {
+        signer.privateKey.fill(0)
+      }
+    })
+    return true
+  }
+
+  /**
+  * @description Sign a message with the key of a path, to prove ownership of its address
+  * @param {Object} opts
+  * @param {string} opts.path - BIP32 path of the address
+  * @param {string} opts.message - message to sign
+  * @param {string} opts.addressType - address type of the path
+  * @param {string} [opts.format] - legacy (Bitcoin Signed Message) or bip322 (simple signature, p2wpkh only)
+  * @returns {Promise<string>} base64 signature
+  */
+  signMessage ({ path, message: msg, addressType, format }) {
+    return this._withPrivateKey(path, (node) => {
+      return message.sign({
+        privateKey: node.privateKey,
+        publicKey: node.publicKey,
+        message: msg,
+        addressType,
+        format,
+        network: this.network
+      })
+    })
   }
 
   /**
@@ -88,10 +371,7 @@ class WalletKeyBitcoin {
   * @returns {string} script hash in hex string
   * */
   addressToScriptHash (addr) {
-    const script = bitcoin.address.toOutputScript(addr, this.network)
-    const hash = bitcoin.crypto.sha256(script)
-    const reversedHash = Buffer.from(hash.reverse())
-    return reversedHash.toString('hex')
+    return addressToScriptHash(addr, this.network)
   }
 
   /**
@@ -101,9 +381,7 @@ class WalletKeyBitcoin {
   * @return {Object} Hash as string hex and address object
   **/
   pathToScriptHash (path, addrType) {
-    const addr = this.addrFromPath(path, addrType)
-    const hash = this.addressToScriptHash(addr.address)
-    return { hash, addr }
+    return pathToScriptHash(this, path, addrType)
   }
 }
 
@@ -0,0 +1,247 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+'use strict'
+let bip32
+const bitcoin = require('bitcoinjs-lib')
+const { BIP32Factory } = require('bip32')
+const descriptor = require('./descriptor.js')
+const { addressToScriptHash, pathToScriptHash } = require('./utils.js')
+
+let ecc = require('@bitcoinerlab/secp256k1')
+
+async function loadWASM () {
+  ecc = await ecc
+  bip32 = BIP32Factory(ecc)
+}
+
+// @desc: version bytes of cosigner extended public keys. Zpub and Vpub are P2WSH multisig keys (SLIP-0132)
+const XPUB_VERSIONS = {
+  xpub: { version: 0x0488b21e, network: 'bitcoin' },
+  Zpub: { version: 0x02aa7ed3, network: 'bitcoin' },
+  tpub: { version: 0x043587cf, network: 'testnet' },
+  Vpub: { version: 0x02575483, network: 'testnet' }
+}
+
+// @desc: BIP48 account path of P2WSH multisig keys. m / 48' / coin_type' / account' / 2'
+const BIP48_P2WSH = /^m\/48'\/[01]'\/\d+'\/2'$/
+
+/**
+* @description Key manager of a P2WSH multisig wallet: wsh(sortedmulti(m, xpub1, xpub2, ...)).
+* Addresses at change/index are made from the keys of every cosigner at change/index, sorted (BIP67).
+* Cosigner keys are BIP48 P2WSH account keys, wallet path m/48'/coin'/account'/change/index is derived
+* as m/48'/coin'/account'/2'/change/index.
+* It has the address and script hash interface of WalletKeyBitcoin so SyncManager and AddressWatch can track them.
+* With a seed of one of the cosigners it adds that cosigner's signatures to a PSBT.
+* @param {Object} config
+* @param {number} config.m - number of signatures needed
+* @param {Array<Object>} config.cosigners - list of { xpub, fingerprint, path }. path is the BIP48 account path of the xpub. example: m/48'/0'/0'/2'
+* @param {Seed} [config.seed] - seed of a cosigner, to sign with
+* @param {string} [config.network] - network
+*/
+class WalletKeyMultisig {
+  constructor (config = {}) {
+    this._config = config
+    this.multisig = true
+    this.watchOnly = false
+    this.addressType = 'p2wsh'
+  }
+
+  /**
+  * @description BIP48 P2WSH account path, to get the cosigner key with WalletKeyBitcoin.accountXpub
+  * @param {string} network - network
+  * @param {number} [account=0] - account index
+  * @returns {string} example: m/48'/0'/0'/2'
+  */
+  static accountPath (network, account = 0) {
+    const coinType = ['bitcoin', 'mainnet'].includes(network) ? 0 : 1
+    return `m/48'/${coinType}'/${account}'/2'`
+  }
+
+  async init () {
+    await loadWASM()
+    const { m, cosigners, seed } = this._config
+    if (!Array.isArray(cosigners) || cosigners.length < 2) throw new Error('Multisig needs at least 2 cosigners')
+    if (!Number.isInteger(m) || m < 1 || m > cosigners.length) throw new Error('Invalid number of signatures: ' + m)
+    this.m = m
+    this.cosigners = cosigners.map((cosigner) => this._parseCosigner(cosigner))
+    // @desc: a cosigner given twice makes a weaker m-of-n than the one asked for
+    this.cosigners.forEach(({ node, fingerprint }, i) => {
+      const dup = this.cosigners.findIndex((other) => other.node.publicKey.equals(node.publicKey) || other.fingerprint.equals(fingerprint))
+      if (dup !== i) throw new Error(`Cosigner ${i} is the same as cosigner ${dup}`)
+    })
+    if (seed) {
+      this.seed = seed
+      this.bip32 = bip32.fromSeed(seed.seed, bitcoin.networks.bitcoin)
+      const fp = this.bip32.fingerprint.toString('hex')
+      if (!this.cosigners.some(({ fingerprint }) => fingerprint.toString('hex') === fp)) throw new Error('Seed is not of a cosigner')
+    }
+    this.ready = true
+
+    if (this._config.network) {
+      this.setNetwork(this._config.network)
+    }
+  }
+
+  _parseCosigner ({ xpub, fingerprint, path }) {
+    const prefix = XPUB_VERSIONS[xpub.slice(0, 4)]
+    if (!prefix) throw new Error('Unsupported extended public key')
+    if (!fingerprint || !path) throw new Error('Cosigner fingerprint and path are required')
+    path = path.replace(/h/g, "'")
+    if (!BIP48_P2WSH.test(path)) throw new Error("Cosigner path must be a BIP48 P2WSH account path m/48'/coin'/account'/2': " + path)
+    const network = { ...bitcoin.networks[prefix.network], bip32: { public: prefix.version, private: 0 } }
+    const node = bip32.fromBase58(xpub, network)
+    if (!node.isNeutered()) throw new Error('Extended key must be a public key')
+    if (node.depth !== path.split('/').length - 1) throw new Error(`Extended public key depth ${node.depth} does not match cosigner path ${path}`)
+    return { node, fingerprint: Buffer.from(fingerprint, 'hex'), path }
+  }
+
+  setNetwork (network) {
+    if (network === 'mainnet') network = 'bitcoin'
+    this.network = bitcoin.networks[network]
+    if (!this.network) throw new Error('invalid network passed')
+  }
+
+  close () {
+    this.seed = null
+    this.bip32 = null
+  }
+
+  /**
+  * @description fingerprint of the master key used to sign, or of the first cosigner without a seed
+  * @returns {Buffer}
+  */
+  get fingerprint () {
+    return this.bip32 ? this.bip32.fingerprint : this.cosigners[0].fingerprint
+  }
+
+  /**
+  * @desc change and index of a wallet path m / 48' / coin_type' / account' / change / index
+  * or of a BIP48 path m / 48' / coin_type' / account' / 2' / change / index
+  */
+  _chainIndex (path) {
+    const parts = path.split('/')
+    if (parts.length === 7 && parts[4] === "2'") parts.splice(4, 1)
+    if (parts.length !== 6 || parts[1] !== "48'") throw new Error('Invalid path: ' + path)
+    return [+parts[4], +parts[5]]
+  }
+
+  /**
+  * @desc keys of all cosigners at a path, sorted by public key
+  */
+  _keys (path) {
+    const [change, index] = this._chainIndex(path)
+    return this.cosigners.map(({ node, fingerprint, path }) => {
+      return {
+        masterFingerprint: fingerprint,
+        path: `${path}/${change}/${index}`,
+        pubkey: node.derive(change).derive(index).publicKey
+      }
+    }).sort((a, b) => a.pubkey.compare(b.pubkey))
+  }
+
+  _payment (path) {
+    const { network, m } = this
+    const pubkeys = this._keys(path).map(({ pubkey }) => pubkey)
+    return bitcoin.payments.p2wsh({ redeem: bitcoin.payments.p2ms({ m, pubkeys, network }), network })
+  }
+
+  /**
+  * @param {string} path - wallet path. keys of every cosigner are derived at its change and index
+  * @param {string} addrType - p2wsh
+  * @returns {Object} address, witness script and path
+  */
+  addrFromPath (path, addrType = 'p2wsh') {
+    if (addrType !== 'p2wsh') throw new Error('Multisig only supports p2wsh addresses')
+    const payment = this._payment(path)
+    return {
+      address: payment.address,
+      publicKey: null,
+      privateKey: null,
+      witnessScript: payment.redeem.output.toString('hex'),
+      path
+    }
+  }
+
+  /**
+  * @description PSBT fields of a multisig input or output: witness script and bip32Derivation of every cosigner
+  * @param {string} path - wallet path
+  * @returns {Object}
+  */
+  derivation (path) {
+    return {
+      witnessScript: this._payment(path).redeem.output,
+      bip32Derivation: this._keys(path)
+    }
+  }
+
+  /**
+  * @description add signatures of this cosigner to a PSBT
+  * @param {string} psbt - base64 encoded PSBT
+  * @returns {string} PSBT with partial signatures, base64 encoded
+  */
+  signPsbt (psbt) {
+    const p = bitcoin.Psbt.fromBase64(psbt, { network: this.network })
+    this.signPsbtInputs(p)
+    return p.toBase64()
+  }
+
+  signPsbtInputs (psbt) {
+    if (!this.bip32) throw new Error('No cosigner seed to sign with')
+    const { fingerprint } = this.bip32
+    let signed = 0
+    psbt.data.inputs.forEach((input, index) => {
+      // @desc: inputs without a key of this cosigner are skipped, errors signing the others are thrown
+      if (!(input.bip32Derivation || []).some((d) => d.masterFingerprint.equals(fingerprint))) return
+      psbt.signInputHD(index, this.bip32)
+      signed++
+    })
+    if (signed === 0) throw new Error('No inputs were signed')
+    return psbt
+  }
+
+  /**
+  * @description descriptor of the receive or change chain
+  * @param {number} change - 0 for receive, 1 for change
+  * @returns {string} descriptor with checksum
+  */
+  descriptor (change) {
+    const cosigners = this.cosigners.map(({ node, fingerprint, path }) => {
+      const key = node.neutered()
+      key.network = this.network
+      return { xpub: key.toBase58(), fingerprint: fingerprint.toString('hex'), path }
+    })
+    return descriptor.buildMultisig({ m: this.m, cosigners, change })
+  }
+
+  /**
+  * @description Generate a script hash from a address
+  * @param {string} addr - bitcoin address
+  * @returns {string} script hash in hex string
+  * */
+  addressToScriptHash (addr) {
+    return addressToScriptHash(addr, this.network)
+  }
+
+  /**
+  * @description generate a script hash from HD path
+  * @param {string} path HD path
+  * @param {string} addrtype. address type: p2wsh
+  * @return {Object} Hash as string hex and address object
+  **/
+  pathToScriptHash (path, addrType) {
+    return pathToScriptHash(this, path, addrType)
+  }
+}
+
+module.exports = WalletKeyMultisig
@@ -20,9 +20,14 @@ const Transaction = require('./transaction.js')
 const SyncManager = require('./sync-manager.js')
 const Bitcoin = require('./currency')
 const FeeEstimate = require('./fee-estimate.js')
+const descriptor = require('./descriptor.js')
+const EncryptedStore = require('./encrypted-store.js')
+const messageSignature = require('./message.js')
 const {
   BlockCounter,
-  StateDb
+  StateDb,
+  PURPOSE,
+  addressTypeFromPath
 } = require('./utils.js')
 
 const WalletPayError = Error
@@ -41,7 +46,13 @@ class WalletPayBitcoin extends WalletPay {
   * @param {string} config.network - Blockchain network.
   * @param {number} [config.gapLimit=20] - Gap limit for scanning balances.
   * @param {number} [config.min_block_confirm=1] - Minimum number of block confirmations.
-  * @throws {WalletPayError} If an invalid network is provided.
+  * @param {string|Array<string>} [config.addressType=p2wpkh] - Address type or list of address types:
+  * p2pkh (BIP44), p2sh-p2wpkh (BIP49), p2wpkh (BIP84) or p2tr (BIP86). History is synced for all of them,
+  * new addresses and change use the first one.
+  * @param {string} [config.storePassphrase] - encrypt values of state, address, utxo, HD wallet and electrum cache stores
+  * with a key derived from this passphrase
+  * @param {boolean} [config.hardenedKeys=false] - default key manager doesn't put private keys in address objects. see WalletKeyBitcoin
+  * @throws {WalletPayError} If an invalid network or address type is provided.
   */
   constructor (config) {
     super(config)
@@ -53,8 +64,13 @@ class WalletPayBitcoin extends WalletPay {
     this.ready = false
     this.currency = Bitcoin
     this.keyManager = config.key_manager || null
-    // @desc: Only supported address type.
-    this._addressType = 'p2wpkh'
+    this._hardenedKeys = !!config.hardenedKeys
+    this._storePassphrase = config.storePassphrase || null
+    // @desc: watch-only key managers can set the address type when it's not configured
+    this._addressTypeConfigured = !!config.addressType
+    this._addressTypes = [].concat(config.addressType || 'p2wpkh')
+    if (!this._addressTypes.every((type) => PURPOSE[type])) throw new WalletPayError('Invalid address type')
+    this._addressType = this._addressTypes[0]
     this.Currency = Bitcoin
     this._feeEst = new FeeEstimate()
   }
@@ -68,7 +84,8 @@ class WalletPayBitcoin extends WalletPay {
     await this.provider.close()
     await this._syncManager.close()
     await this.state.store.close()
-    await this._hdWallet.close()
+    if (this._encryptedStore) await this._encryptedStore.close()
+    await Promise.all(Object.values(this._hdWallets).map((hdWallet) => hdWallet.close()))
     await this.keyManager.close()
     this.ready = false
   }
@@ -78,7 +95,7 @@ class WalletPayBitcoin extends WalletPay {
 
     // @desc use default key manager
     if (!this.keyManager) {
-      this.keyManager = new KeyManager({ seed: wallet.seed, network: this.network })
+      this.keyManager = new KeyManager({ seed: wallet.seed, network: this.network, hardened: this._hardenedKeys })
       await this.keyManager.init()
     }
 
@@ -89,8 +106,23 @@ class WalletPayBitcoin extends WalletPay {
       this.keyManager.setNetwork(this.network)
     }
 
+    if (this.keyManager.watchOnly) {
+      this._setupWatchOnly()
+    }
+
+    this._setupMultisig()
+
+    // @desc: stores of wallet state are encrypted when a passphrase is set
+    let store = this.store
+    if (this._storePassphrase) {
+      this._encryptedStore = new EncryptedStore({ store: this.store, passphrase: this._storePassphrase })
+      this._storePassphrase = null
+      await this._encryptedStore.init()
+      store = this._encryptedStore
+    }
+
     if (!this.provider) {
-      this._electrum_config.store = this.store
+      this._electrum_config.store = store
       this.provider = new Provider(this._electrum_config)
     }
 
@@ -107,27 +139,34 @@ class WalletPayBitcoin extends WalletPay {
       coinType = "1'"
     }
 
-    this._hdWallet = new HdWallet({
-      store: this.store.newInstance({ name: 'hdwallet' }),
-      coinType,
-      purpose: "84'",
-      gapLimit: this.gapLimit
-    })
+    this._hdWallets = {}
+    for (const type of this._addressTypes) {
+      this._hdWallets[type] = new HdWallet({
+        // @desc: p2wpkh keeps the original store name so existing wallets load their addresses
+        store: store.newInstance({ name: type === 'p2wpkh' ? 'hdwallet' : 'hdwallet-' + type }),
+        coinType,
+        purpose: PURPOSE[type],
+        gapLimit: this.gapLimit
+      })
+    }
+    this._hdWallet = this._hdWallets[this._addressType]
 
     this.state = new StateDb({
-      store: this.store.newInstance({ name: 'state' })
+      store: store.newInstance({ name: 'state' })
     })
 
     this._syncManager = new SyncManager({
       state: this.state,
       gapLimit: this.gapLimit,
       hdWallet: this._hdWallet,
+      hdWallets: this._hdWallets,
+      coinType,
       utxoManager: this._utxoManager,
       provider: this.provider,
       keyManager: this.keyManager,
       currentBlock: this.latest_block,
       minBlockConfirm: this.min_block_confirm,
-      store: this.store,
+      store,
       addressType: this._addressType
     })
 
@@ -148,7 +187,9 @@ class WalletPayBitcoin extends WalletPay {
 
     await this.state.init()
     await this._syncManager.init()
-    await this._hdWallet.init()
+    for (const hdWallet of Object.values(this._hdWallets)) {
+      await hdWallet.init()
+    }
     const electrum = new Promise((resolve) => {
       this.provider.once('new-block', () => {
         this.ready = true
@@ -162,6 +203,16 @@ class WalletPayBitcoin extends WalletPay {
     })
     await this.provider.subscribeToBlocks()
 
+    // @desc: the provider subscribes to blocks again after reconnecting. Sync to catch up on what was missed
+    this.provider.on('reconnected', async () => {
+      if (this._syncManager.isSyncing()) return
+      try {
+        await this.syncTransactions()
+      } catch (err) {
+        console.log('failed to sync after reconnect', err)
+      }
+    })
+
     this._syncManager.on('synced-path', (...args) => {
       this.emit('synced-path', ...args)
     })
@@ -172,6 +223,34 @@ class WalletPayBitcoin extends WalletPay {
     return Promise.all([newBlock, electrum])
   }
 
+  /**
+  * @desc A watch-only key manager holds the extended public key of account 0' of one address type
+  */
+  _setupWatchOnly () {
+    const { addressType, bip32 } = this.keyManager
+    if (addressType && !this._addressTypeConfigured) {
+      this._addressTypes = [addressType]
+      this._addressType = addressType
+    }
+    if (this._addressTypes.length > 1) throw new WalletPayError('Watch-only wallet supports one address type')
+    if (addressType && addressType !== this._addressType) throw new WalletPayError('Extended public key is for ' + addressType + ' addresses')
+    if (bip32.index !== 0x80000000) throw new WalletPayError("Extended public key must be of account 0'")
+  }
+
+  /**
+  * @desc p2wsh addresses are made by a multisig key manager, and a multisig key manager makes only those
+  */
+  _setupMultisig () {
+    const { multisig } = this.keyManager
+    if (multisig && !this._addressTypeConfigured) {
+      this._addressTypes = ['p2wsh']
+      this._addressType = 'p2wsh'
+    }
+    const p2wsh = this._addressTypes.includes('p2wsh')
+    if (p2wsh && !multisig) throw new WalletPayError('p2wsh addresses need a multisig key manager')
+    if (multisig && (!p2wsh || this._addressTypes.length > 1)) throw new WalletPayError('Multisig wallet supports only p2wsh addresses')
+  }
+
   _onNewTx () {
     return new Promise((resolve) => {
       this.once('new-tx', () => resolve())
@@ -218,7 +297,11 @@ class WalletPayBitcoin extends WalletPay {
    **/
   async getFundedTokenAddresses (opts) {
     const accts = {}
-    const addrs = await this._hdWallet.getAllAddress()
+    const addrs = []
+    const accounts = [...Object.values(this._hdWallets), ...await this._syncManager._discoveredAccounts()]
+    for (const account of accounts) {
+      addrs.push(...await account.getAllAddress())
+    }
 
     await Promise.all(addrs.map(async (addr) => {
       const bal = await this.getBalance({}, addr)
@@ -254,34 +337,46 @@ class WalletPayBitcoin extends WalletPay {
     await _syncManager.syncAccount(opts)
   }
 
+  /**
+  * @description Scan accounts 0', 1', 2'... of every address type for history, like BIP44 account discovery.
+  * Scanning of an address type stops at the first account without history. Accounts found are kept in sync by syncTransactions.
+  * New addresses are still generated on account 0'.
+  * @returns {Promise<Array>} accounts with history. list of { addressType, account, path }
+  */
+  async discoverAccounts () {
+    if (this.keyManager.watchOnly) throw new WalletPayError('Account discovery needs a seed')
+    if (this.keyManager.multisig) throw new WalletPayError('Account discovery is not supported for multisig')
+    return this._syncManager.discoverAccounts()
+  }
+
   // Pause syncing transactions from electrum
   async pauseSync () {
     return new Promise((resolve) => {
-      if (!this._syncManager._isSyncing) return resolve()
+      if (!this._syncManager.isSyncing()) return resolve()
       this._syncManager.once('sync-end', () => resolve())
       this._syncManager.stopSync()
     })
   }
 
-  // @desc send transaction
-  // @param {Object} opts - options
-  // @param {Object} outgoing - transaction details
-  // @param {String} outgoing.address - destination address
-  // @param {String} outgoing.amount - amount to send
-  // @param {String} outgoing.unit - unit of amount
-  // @param {String} outgoing.fee - fee to pay in sat/vbyte. example: 10,
-  sendTransaction (opts, outgoing) {
+  _newTransaction (config = {}) {
+    return new Transaction({
+      network: this.network,
+      provider: this.provider,
+      keyManager: this.keyManager,
+      getInternalAddress: config.getInternalAddress || this._getInternalAddress.bind(this),
+      syncManager: this._syncManager
+    })
+  }
+
+  /**
+   * @description run a transaction action and resolve once the broadcasted tx is seen in mempool
+   * @param {function} fn called with a Transaction instance, returns the sent tx
+   * @returns {Promise} promise with a broadcasted(fn) hook
+   **/
+  _sendTx (fn) {
     let notify
     const p = new Promise((resolve, reject) => {
-      const tx = new Transaction({
-        network: this.network,
-        provider: this.provider,
-        keyManager: this.keyManager,
-        getInternalAddress: this._getInternalAddress.bind(this),
-        syncManager: this._syncManager
-      })
-
-      tx.send(outgoing).then((sent) => {
+      fn(this._newTransaction()).then((sent) => {
         if (notify) notify(sent)
         this._syncManager.watchTxMempool(sent.txid)
         this._syncManager.on('tx:mempool:' + sent.txid, () => {
@@ -298,6 +393,229 @@ class WalletPayBitcoin extends WalletPay {
     return p
   }
 
+  // @desc send transaction
+  // @param {Object} opts - options
+  // @param {Object} outgoing - transaction details
+  // @param {String} outgoing.address - destination address
+  // @param {String} outgoing.amount - amount to send
+  // @param {String} outgoing.unit - unit of amount
+  // @param {String} outgoing.fee - fee to pay in sat/vbyte. example: 10,
+  // @param {Array} outgoing.outputs - send to many recipients in one transaction. list of { address, amount, unit }
+  // @param {String|Function} outgoing.coinSelection - coin selection strategy. example: 'largest-first'. see coin-select/index.js
+  // @param {Array} outgoing.utxos - spend exactly these outputs. list of 'txid:vout'
+  // @param {Boolean} outgoing.sendMax - send all spendable outputs to address. fee is subtracted from the amount
+  // @param {Boolean|Array} outgoing.subtractFeeFromAmount - recipients pay the fee. true for all outputs or list of output indexes
+  // @returns {Promise} sent transaction. A watch-only wallet has no keys to sign, it returns the unsigned PSBT in base64 instead.
+  // @throws {WalletPayError} rejects for a multisig wallet, cosigners sign a PSBT from createPsbt with keyManager.signPsbt
+  sendTransaction (opts, outgoing) {
+    if (this.keyManager.watchOnly) return this.createPsbt(outgoing)
+    if (this.keyManager.multisig) {
+      return this._sendTx(async () => {
+        throw new WalletPayError('Multisig wallet needs signatures of cosigners, use createPsbt')
+      })
+    }
+    return this._sendTx((tx) => tx.send(outgoing))
+  }
+
+  /**
+   * @description Estimate a transaction before sending it. Runs the same utxo selection and size calculation
+   * as sendTransaction, but nothing is broadcasted and selected utxo are released.
+   * Works for watch-only and multisig wallets too, the size of their signatures is estimated.
+   * @param {Object} outgoing - same as sendTransaction
+   * @returns {Promise<Object>} vSize, fee, feeRate, amount, totalSpent, inputs, change and changeDropped
+   **/
+  estimateTransaction (outgoing) {
+    const tx = this._newTransaction({
+      // @desc: only size of the change output matters. Don't use up a new change address for an estimate
+      getInternalAddress: async () => {
+        return this.keyManager.addrFromPath(this._hdWallet.INIT_EXTERNAL_PATH, this._addressType)
+      }
+    })
+    return tx.estimate(outgoing)
+  }
+
+  /**
+   * @description Build a transaction without signing it, for signing on another machine.
+   * Inputs and change output carry bip32Derivation. Selected utxo are not kept locked.
+   * PSBTs pay change to the same internal address until one of them is broadcasted.
+   * @param {Object} outgoing - same as sendTransaction
+   * @returns {Promise<String>} unsigned PSBT, base64 encoded
+   **/
+  createPsbt (outgoing) {
+    const tx = this._newTransaction({
+      getInternalAddress: this._psbtChangeAddress.bind(this)
+    })
+    return tx.createPsbt(outgoing)
+  }
+
+  /**
+  * @desc A PSBT may never be signed. Don't use up a new change address for every exported PSBT
+  */
+  async _psbtChangeAddress () {
+    if (!this._psbtChange) this._psbtChange = await this._getInternalAddress()
+    return this._psbtChange
+  }
+
+  /**
+   * @description Finalize a signed PSBT and broadcast it. The PSBT is checked against the wallet's unspent outputs
+   * and recorded as a sent transaction.
+   * For multisig, pass the PSBTs signed by each cosigner as a list to combine their signatures.
+   * @param {String|Array<String>} psbt - signed PSBT or list of PSBTs, base64 encoded
+   * @returns {Promise<TxEntry>}
+   **/
+  finalizeAndBroadcastPsbt (psbt) {
+    return this._sendTx(async (tx) => {
+      const sent = await tx.broadcastPsbt(psbt)
+      const { changeAddress } = tx.getLastAttempt()
+      if (this._psbtChange && changeAddress?.address === this._psbtChange.address) this._psbtChange = null
+      return sent
+    })
+  }
+
+  /**
+   * @description Output descriptors (BIP380) of account 0' for every address type, for import in other wallets
+   * like Bitcoin Core or Sparrow. Keys are extended public keys, no private key is exported.
+   * @returns {Array<Object>} list of { addressType, receive, change } descriptors with checksum
+   **/
+  exportDescriptors () {
+    if (this.keyManager.multisig) {
+      return [{ addressType: 'p2wsh', receive: this.keyManager.descriptor(0), change: this.keyManager.descriptor(1) }]
+    }
+    const { coinType } = this._syncManager
+    return this._addressTypes.map((addressType) => {
+      const account = this.keyManager.accountXpub(`m/${PURPOSE[addressType]}/${coinType}/0'`)
+      return {
+        addressType,
+        receive: descriptor.build({ addressType, ...account, change: 0 }),
+        change: descriptor.build({ addressType, ...account, change: 1 })
+      }
+    })
+  }
+
+  /**
+   * @description Change the passphrase of encrypted stores. All values are encrypted again with the new key.
+   * @param {String} passphrase - new passphrase
+   * @returns {Promise}
+   **/
+  async rotateStoreKey (passphrase) {
+    if (!this._encryptedStore) throw new WalletPayError('Store encryption is not enabled')
+    return this._encryptedStore.rotateKey(passphrase)
+  }
+
+  /**
+   * @description Sign a message with the key of a wallet address, to prove ownership of the address.
+   * @param {Object} opts - options
+   * @param {String} opts.address - address of the wallet
+   * @param {String} opts.message - message to sign
+   * @param {String} [opts.format] - 'legacy' (Bitcoin Signed Message, default) or 'bip322' (BIP322 simple signature, p2wpkh only)
+   * @returns {Promise<String>} base64 signature
+   **/
+  async signMessage ({ address, message, format }) {
+    if (!this.keyManager.signMessage) throw new WalletPayError('Key manager cannot sign messages')
+    const addr = await this._syncManager._getHdAddress(address)
+    if (!addr) throw new WalletPayError('Address is not in the wallet: ' + address)
+    return this.keyManager.signMessage({
+      path: addr.path,
+      message,
+      addressType: addressTypeFromPath(addr.path),
+      format
+    })
+  }
+
+  /**
+   * @description Verify a message signature of any address. Legacy and BIP322 simple signatures are detected.
+   * @param {Object} opts - options
+   * @param {String} opts.address - address that signed
+   * @param {String} opts.message - signed message
+   * @param {String} opts.signature - base64 signature
+   * @returns {Promise<Boolean>}
+   **/
+  verifyMessage ({ address, message, signature }) {
+    return messageSignature.verify({ address, message, signature, network: this.keyManager.network })
+  }
+
+  /**
+   * @description Send the entire spendable balance to an address. No change output is created
+   * and the fee is subtracted from the amount sent.
+   * @param {Object} opts - options
+   * @param {String} opts.address - destination address
+   * @param {Number} opts.feeRate - fee rate in sat/vbyte
+   * @returns {Promise<TxEntry>}
+   **/
+  sweep ({ address, feeRate } = {}) {
+    if (!address) throw new WalletPayError('Address is required')
+    return this.sendTransaction({}, { address, fee: feeRate, sendMax: true })
+  }
+
+  /**
+   * @description Move all coins of an external private key, like a paper wallet, into the wallet.
+   * Coins of its P2PKH, P2WPKH and P2SH-P2WPKH addresses are sent to a new address of the wallet.
+   * @param {Object} opts - options
+   * @param {String} opts.wif - private key in WIF
+   * @param {Number} opts.feeRate - fee rate in sat/vbyte
+   * @returns {Promise<TxEntry>}
+   **/
+  sweepPrivateKey ({ wif, feeRate } = {}) {
+    if (!this.keyManager.externalKey) throw new WalletPayError('Key manager cannot import private keys')
+    // @desc: a new address is taken only when the key has coins to sweep
+    return this._sendTx((tx) => tx.sweepKey({ wif, feeRate, getAddress: () => this.getNewAddress() }))
+  }
+
+  /**
+   * @description Replace an unconfirmed outgoing transaction with a higher fee version (BIP125).
+   * The replacement uses the same inputs and takes the extra fee from the change output.
+   * @param {Object} opts - options
+   * @param {String} opts.txid - id of the transaction to replace
+   * @param {Number} opts.feeRate - new fee rate in sat/vbyte
+   * @returns {Promise<TxEntry>} replacement transaction
+   **/
+  bumpFee (opts) {
+    return this._sendTx((tx) => tx.bumpFee(opts))
+  }
+
+  /**
+   * @description Accelerate an unconfirmed incoming payment with Child-Pays-For-Parent.
+   * Spends the wallet's output of the parent to an internal address, paying enough fee for the package to reach the target fee rate.
+   * @param {Object} opts - options
+   * @param {String} opts.txid - id of the unconfirmed parent transaction
+   * @param {Number} opts.vout - index of the wallet's output in the parent transaction
+   * @param {Number} opts.targetFeeRate - fee rate of parent and child together in sat/vbyte
+   * @returns {Promise<TxEntry>} child transaction
+   **/
+  cpfp (opts) {
+    return this._sendTx((tx) => tx.cpfp(opts))
+  }
+
+  /**
+   * @description list unspent outputs of the wallet
+   * @param {Object} opts - options
+   * @param {Number} [opts.minConf=0] - minimum number of confirmations
+   * @param {String} [opts.address] - only outputs of this address
+   * @param {Boolean} [opts.includeLocked=false] - include outputs locked by a transaction in progress
+   * @returns {Promise<Array>} list of utxo with value, confirmations, address, path, script type, locked, frozen and state
+   **/
+  getUtxos (opts) {
+    return this._syncManager.getUtxos(opts)
+  }
+
+  /**
+   * @description freeze an unspent output. Frozen outputs are never selected for spending
+   * @param {String} point - output to freeze, txid:vout
+   * @returns {Promise}
+   **/
+  freezeUtxo (point) {
+    return this._syncManager.freezeUtxo(point)
+  }
+
+  /**
+   * @description unfreeze an unspent output so it can be spent again
+   * @param {String} point - output to unfreeze, txid:vout
+   * @returns {Promise}
+   **/
+  unfreezeUtxo (point) {
+    return this._syncManager.unfreezeUtxo(point)
+  }
+
   /**
    * @description add transaction description
    * @param {Object} opts - options
@@ -0,0 +1,83 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const Btc = require('../src/currency.js')
+const CoinSelect = require('../src/coin-select/index.js')
+const UnspentStore = require('../src/unspent-store.js')
+const { WalletStoreMemory } = require('lib-wallet-store')
+
+function utxo (sats, height = 1) {
+  return { txid: 'tx' + sats, index: 0, height, value: new Btc(sats, 'base') }
+}
+
+const utxos = [utxo(1000, 5), utxo(5000, 3), utxo(20000, 0), utxo(3000, 2), utxo(7000, 1)]
+const ids = (list) => list.map(({ txid }) => txid)
+
+test('coin selection strategies', async (t) => {
+  t.test('small-to-large', async (t) => {
+    const sel = CoinSelect.getStrategy('small-to-large')(utxos, 8000, {})
+    t.alike(ids(sel), ['tx1000', 'tx3000', 'tx5000'], 'spends smallest first')
+  })
+
+  t.test('largest-first', async (t) => {
+    const sel = CoinSelect.getStrategy('largest-first')(utxos, 8000, {})
+    t.alike(ids(sel), ['tx20000'], 'spends largest first')
+  })
+
+  t.test('oldest-first', async (t) => {
+    const sel = CoinSelect.getStrategy('oldest-first')(utxos, 8000, {})
+    t.alike(ids(sel), ['tx7000', 'tx3000'], 'spends lowest height first, mempool last')
+  })
+
+  t.test('single-random-draw', async (t) => {
+    const sel = CoinSelect.getStrategy('single-random-draw')(utxos, 8000, {})
+    const total = sel.reduce((sum, u) => sum + +u.value.toBaseUnit(), 0)
+    t.ok(total >= 8000, 'selection covers amount')
+  })
+
+  t.test('branch-and-bound: changeless match', async (t) => {
+    const sel = CoinSelect.getStrategy('branch-and-bound')(utxos, 8000, {})
+    const total = sel.reduce((sum, u) => sum + +u.value.toBaseUnit(), 0)
+    t.ok(total === 8000, 'exact match found')
+  })
+
+  t.test('branch-and-bound: accounts for fees', async (t) => {
+    const opts = { feeRate: 1, outputs: 1, costOfChange: 546 }
+    const sel = CoinSelect.getStrategy('branch-and-bound')(utxos, 9800, opts)
+    const total = sel.reduce((sum, u) => sum + +u.value.toBaseUnit(), 0)
+    const fee = 11 + 31 + sel.length * 68
+    t.ok(total - 9800 - fee >= 0, 'selection covers amount and fee')
+    t.ok(total - 9800 - fee < 546, 'excess is below cost of change')
+  })
+
+  t.test('custom strategy', async (t) => {
+    CoinSelect.addStrategy('first-only', (list) => list.slice(0, 1))
+    const sel = CoinSelect.getStrategy('first-only')(utxos, 1, {})
+    t.alike(ids(sel), ['tx1000'], 'registered strategy is used')
+    const fn = () => []
+    t.is(CoinSelect.getStrategy(fn), fn, 'strategy function is returned as is')
+    t.exception(() => CoinSelect.getStrategy('unknown'), /Invalid coin selection strategy/, 'unknown strategy throws')
+  })
+})
+
+test('oldest-first uses the confirmed height of outputs first seen in mempool', async (t) => {
+  const unspent = new UnspentStore({ store: new WalletStoreMemory({}) })
+  await unspent.init()
+  await unspent.add(utxo(5000, 20), 'out')
+  await unspent.add(utxo(7000, 0), 'out')
+  await unspent.add(utxo(7000, 10), 'out')
+  const { utxo: sel } = await unspent.getUtxoForAmount(new Btc(4000, 'base'), 'oldest-first')
+  t.alike(ids(sel), ['tx7000'], 'output confirmed first is spent first')
+  await unspent.close()
+})
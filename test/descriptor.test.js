@@ -0,0 +1,51 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const descriptor = require('../src/descriptor.js')
+const Key = require('../src/wallet-key-btc.js')
+const Bip39Seed = require('wallet-seed-bip39')
+
+// LINK: https://github.com/bitcoin/bitcoin/blob/master/doc/descriptors.md
+const coreDesc = "wpkh([d34db33f/84h/0h/0h]xpub6DJ2dNUysrn5Vt36jH2KLBT2i1auw1tTSSomg8PhqNiUtx8QX2SvC9nrHu81fT41fvDUnhMjEzQgXnQjKEu3oaqMSzhSrHMxyyoEAmUHQbY/0/*)"
+
+test('descriptor checksum', (t) => {
+  t.is(descriptor.checksum('raw(deadbeef)'), '89f8spxm', 'raw script checksum')
+  t.is(descriptor.checksum(coreDesc), 'cjjspncu', 'wpkh checksum')
+})
+
+test('parse descriptor', (t) => {
+  const res = descriptor.parse(coreDesc + '#cjjspncu')
+  t.is(res.addressType, 'p2wpkh')
+  t.is(res.fingerprint, 'd34db33f')
+  t.is(res.path, "m/84'/0'/0'")
+  t.alike(res.chains, [0])
+  t.alike(descriptor.parse(descriptor.addChecksum(coreDesc.replace('wpkh(', 'sh(wpkh(').replace('/0/*)', '/<0;1>/*))'))).chains, [0, 1], 'multipath')
+  t.exception(() => descriptor.parse(coreDesc), /checksum is missing/)
+  t.exception(() => descriptor.parse(coreDesc + '#cjjspncv'), /Invalid descriptor checksum/)
+  t.exception(() => descriptor.parse(descriptor.addChecksum('wsh(multi(1,02aa))')), /Unsupported descriptor/)
+})
+
+test('export and import descriptor', async (t) => {
+  const seed = await Bip39Seed.generate('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about')
+  const k = new Key({ seed, network: 'bitcoin' })
+  await k.init()
+  const desc = descriptor.build({ addressType: 'p2wpkh', ...k.accountXpub("m/84'/0'/0'"), change: 0 })
+  t.is(desc, "wpkh([73c5da0a/84'/0'/0']xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V/0/*)#wc3n3van", 'BIP84 account descriptor')
+
+  const watch = await Key.fromDescriptor(desc, { network: 'bitcoin' })
+  t.ok(watch.watchOnly, 'key manager from descriptor is watch-only')
+  t.is(watch.addressType, 'p2wpkh', 'address type from descriptor')
+  t.is(watch.fingerprint.toString('hex'), '73c5da0a', 'fingerprint from descriptor')
+  t.is(watch.addrFromPath("m/84'/0'/0'/0/0", 'p2wpkh').address, 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', 'first receive address')
+})
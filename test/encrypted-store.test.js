@@ -0,0 +1,139 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const { WalletStoreHyperbee } = require('lib-wallet-store')
+const EncryptedStore = require('../src/encrypted-store.js')
+const { AddressManager } = require('../src/address-manager.js')
+
+async function openStore (store, passphrase) {
+  const enc = new EncryptedStore({ store, passphrase })
+  await enc.init()
+  return enc
+}
+
+test('encrypted store - values are encrypted at rest', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const enc = await openStore(store, 'passphrase 1')
+  const state = enc.newInstance({ name: 'state' })
+  await state.init()
+  await state.put('label', { txid: 'abc', label: 'salary' })
+
+  t.alike(await state.get('label'), { txid: 'abc', label: 'salary' }, 'value is decrypted')
+  const raw = store.newInstance({ name: 'state' })
+  await raw.init()
+  t.absent(JSON.stringify(await raw.get('label')).includes('salary'), 'value is not plaintext in store')
+
+  const values = []
+  await state.entries(async (k, v) => values.push(v))
+  t.alike(values, [{ txid: 'abc', label: 'salary' }], 'entries are decrypted')
+
+  await t.exception(openStore(store, 'wrong passphrase'), /Invalid passphrase/)
+})
+
+test('encrypted store - rotate key', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const enc = await openStore(store, 'passphrase 1')
+  const utxo = enc.newInstance({ name: 'utxo' })
+  await utxo.init()
+  await utxo.put('utxo_frozen', ['abc:0'])
+
+  await enc.rotateKey('passphrase 2')
+  t.alike(await utxo.get('utxo_frozen'), ['abc:0'], 'value is readable after rotation')
+  await t.exception(openStore(store, 'passphrase 1'), /Invalid passphrase/, 'old passphrase does not open the store')
+
+  const reopened = await openStore(store, 'passphrase 2')
+  const utxo2 = reopened.newInstance({ name: 'utxo' })
+  await utxo2.init()
+  t.alike(await utxo2.get('utxo_frozen'), ['abc:0'], 'new passphrase opens the store')
+})
+
+test('encrypted store - values written before encryption are encrypted once', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const raw = store.newInstance({ name: 'hdwallet' })
+  await raw.init()
+  await raw.put('addr', { address: 'bc1qabc', path: "m/84'/0'/0'/0/0" })
+
+  const enc = await openStore(store, 'passphrase 1')
+  const hd = enc.newInstance({ name: 'hdwallet' })
+  await hd.init()
+  t.alike(await hd.get('addr'), { address: 'bc1qabc', path: "m/84'/0'/0'/0/0" }, 'plaintext value is readable')
+  t.absent(JSON.stringify(await raw.get('addr')).includes('bc1qabc'), 'value is encrypted when the store is first used')
+
+  await raw.put('injected', { address: 'bc1qevil' })
+  await t.exception(hd.get('injected'), /Value is not encrypted/, 'plaintext written later is rejected')
+  await raw.delete('injected')
+
+  const reopened = await openStore(store, 'passphrase 1')
+  const hd2 = reopened.newInstance({ name: 'hdwallet' })
+  await hd2.init()
+  await raw.put('injected', { address: 'bc1qevil' })
+  await t.exception(hd2.get('injected'), /Value is not encrypted/, 'plaintext is rejected after the wallet is opened again')
+  await raw.delete('injected')
+})
+
+test('encrypted store - rotate key encrypts values written before encryption', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const raw = store.newInstance({ name: 'hdwallet' })
+  await raw.init()
+  await raw.put('addr', { address: 'bc1qabc', path: "m/84'/0'/0'/0/0" })
+
+  const enc = await openStore(store, 'passphrase 1')
+  const hd = enc.newInstance({ name: 'hdwallet' })
+  await hd.init()
+
+  await enc.rotateKey('passphrase 2')
+  t.absent(JSON.stringify(await raw.get('addr')).includes('bc1qabc'), 'value is encrypted after rotation')
+  t.alike(await hd.get('addr'), { address: 'bc1qabc', path: "m/84'/0'/0'/0/0" }, 'value is decrypted')
+})
+
+test('encrypted store - rotate key closes the instances it opens', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const enc = await openStore(store, 'passphrase 1')
+  const state = enc.newInstance({ name: 'state' })
+  await state.init()
+  await state.put('label', 'salary')
+
+  const reopened = await openStore(store, 'passphrase 1')
+  const closed = []
+  const newInstance = store.newInstance.bind(store)
+  store.newInstance = (opts) => {
+    const instance = newInstance(opts)
+    const close = instance.close.bind(instance)
+    instance.close = () => {
+      closed.push(opts.name)
+      return close()
+    }
+    return instance
+  }
+  await reopened.rotateKey('passphrase 2')
+  t.alike(closed, ['state'], 'instance opened for rotation is closed')
+})
+
+test('encrypted store - transaction history order and ranges', async (t) => {
+  const store = new WalletStoreHyperbee()
+  const enc = await openStore(store, 'passphrase 1')
+  const addr = new AddressManager({ store: enc })
+  await addr.init()
+  for (const height of [2, 1, 3]) {
+    await addr.storeTx({ txid: 'tx' + height, height })
+  }
+
+  const newest = await addr.getTransactions()
+  t.alike(newest.map((tx) => tx.height), [3, 2, 1], 'newest first')
+  const oldest = await addr.getTransactions({ reverse: true })
+  t.alike(oldest.map((tx) => tx.height), [1, 2, 3], 'oldest first')
+  const atHeight = await addr.getTxHeight(2)
+  t.alike(atHeight.map((tx) => tx.txid), ['tx2'], 'transactions of one block')
+  await addr.close()
+})
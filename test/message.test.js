@@ -0,0 +1,49 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const bitcoin = require('bitcoinjs-lib')
+const message = require('../src/message.js')
+const Key = require('../src/wallet-key-btc.js')
+const Bip39Seed = require('wallet-seed-bip39')
+
+const network = bitcoin.networks.bitcoin
+
+test('BIP322 simple signature test vectors', async (t) => {
+  // LINK: https://github.com/bitcoin/bips/blob/master/bip-0322.mediawiki#test-vectors
+  const address = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l'
+  const empty = 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='
+  const hello = 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='
+  t.ok(await message.verify({ address, message: '', signature: empty, network }), 'empty message')
+  t.ok(await message.verify({ address, message: 'Hello World', signature: hello, network }), 'Hello World')
+  t.absent(await message.verify({ address, message: 'Hello World', signature: empty, network }), 'signature of other message')
+})
+
+test('legacy signed message', async (t) => {
+  const signature = 'H9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk='
+  t.ok(await message.verify({ address: '1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV', message: 'This is an example of a signed message.', signature, network }), 'known signature')
+  const uncompressed = 'HA8j9gwmO4XsE74Zih1TFbwM/rAvCG09tKFXmEShl9hYZdwubAQ93N3eu2svNYUVDTzh+6C5BM64bj5iLyvcw5o='
+  t.ok(await message.verify({ address: '1GAehh7TsJAHuUAeKZcXf5CnwuGuGgyX2S', message: 'This is an example of a signed message.', signature: uncompressed, network }), 'signature of uncompressed key')
+  t.absent(await message.verify({ address: '1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV', message: 'This is an example of a signed message.', signature: uncompressed, network }), 'uncompressed key signature for other address')
+
+  const seed = await Bip39Seed.generate('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about')
+  const k = new Key({ seed, network: 'bitcoin' })
+  await k.init()
+  const types = [["m/44'/0'/0'/0/0", 'p2pkh'], ["m/49'/0'/0'/0/0", 'p2sh-p2wpkh'], ["m/84'/0'/0'/0/0", 'p2wpkh']]
+  for (const [path, addressType] of types) {
+    const { address } = k.addrFromPath(path, addressType)
+    const sig = await k.signMessage({ path, message: 'hello', addressType })
+    t.ok(await message.verify({ address, message: 'hello', signature: sig, network }), 'sign and verify ' + addressType)
+  }
+  await t.exception(k.signMessage({ path: "m/86'/0'/0'/0/0", message: 'hello', addressType: 'p2tr' }), 'taproot is not supported')
+})
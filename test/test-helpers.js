@@ -45,6 +45,7 @@ async function regtestNode (opts = {}) {
   * @param {string} config.phrase seed phrase for a wallet
   * @param {Store} config.store an instance of a store
   * @param {boolean} config.tmpStore generate a temporary file store
+  * @param {Object} config.keyManager key manager to use instead of one from the seed phrase
   * @return {Promise<BitcoinPay>}
 */
 async function activeWallet (config = {}) {
@@ -62,16 +63,19 @@ async function activeWallet (config = {}) {
   if (config.tmpStore) {
     store = newStore(config.tmpStore)
   }
-  const km = new KeyManager({
-    seed
-  })
-  await km.init()
+  // @desc: watch-only wallet from an extended public key
+  let km = config.keyManager
+  if (!km) {
+    km = new KeyManager(config.xpub ? { xpub: config.xpub, fingerprint: config.fingerprint } : { seed })
+    await km.init()
+  }
   const btcPay = new BitcoinPay({
     asset_name: 'btc',
     provider: await newElectrum({ store }),
     key_manager: km,
     store,
-    network: 'regtest'
+    network: 'regtest',
+    addressType: config.addressType
   })
 
   await btcPay.initialize({})
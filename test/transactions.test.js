@@ -16,9 +16,13 @@ const {
   activeWallet,
   regtestNode,
   pause,
-  BitcoinCurrency
+  BitcoinCurrency,
+  KeyManager,
+  BIP39Seed
 } = require('./test-helpers.js')
 const Transaction = require ('../src/transaction.js')
+const MultisigKeyManager = require('../src/wallet-key-multisig.js')
+const bitcoin = require('bitcoinjs-lib')
 
 
 async function sendTx(btc, data) {
@@ -245,6 +249,591 @@ test.solo('perform 2 transactions from 1 utxo before confirmation. Spending from
   await btcPay.destroy()
 })
 
+test.test('bumpFee: replace unconfirmed transaction with higher fee', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const data = {
+    amount: 0.02,
+    unit: 'main',
+    address: nodeAddr,
+    fee: 2
+  }
+  const { attempt: orig } = await sendTx(btcPay, data)
+  await pause(3000)
+  const balBefore = await btcPay.getBalance()
+
+  t.comment('bumping fee of ' + orig.txid)
+  const bumped = await btcPay.bumpFee({ txid: orig.txid, feeRate: 10 })
+  t.ok(bumped.txid !== orig.txid, 'replacement has new txid')
+  t.ok(bumped.fee > orig.fee, 'replacement pays higher fee')
+  t.ok(new BitcoinCurrency(data.amount, 'main').eq(bumped.amount), 'replacement sends same amount')
+
+  const eTx = await btcPay.provider._getTransaction(bumped.txid)
+  t.ok(eTx.vin.length === orig.utxo.length, 'replacement spends same number of inputs')
+  eTx.vin.forEach((vin, i) => {
+    t.ok(vin.txid === orig.utxo[i].txid && vin.vout === orig.utxo[i].index, 'replacement spends same input')
+  })
+
+  await pause(3000)
+  const txs = await btcPay.getTransactions({})
+  t.ok(!txs.some((tx) => tx.txid === orig.txid), 'replaced tx removed from history')
+  t.ok(txs.some((tx) => tx.txid === bumped.txid), 'replacement tx in history')
+
+  const bal = await btcPay.getBalance()
+  const feeDiff = bumped.fee - orig.fee
+  t.ok(balBefore.consolidated.toNumber() - bal.consolidated.toNumber() === feeDiff, 'balance reduced by fee difference')
+
+  try {
+    await btcPay.bumpFee({ txid: bumped.txid, feeRate: 5 })
+    t.fail('should not bump with lower fee rate')
+  } catch (err) {
+    t.ok(err.message.includes('Fee rate must be higher'), 'lower fee rate is rejected')
+  }
+  await btcPay.destroy()
+})
+
+test.test('cpfp: accelerate unconfirmed incoming payment', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: parentTxid } = await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+
+  const parent = await btcPay.provider._getTransaction(parentTxid)
+  const vout = parent.vout.find((out) => out.scriptPubKey.address === addr.address).n
+  const targetFeeRate = 50
+
+  t.comment('spending parent output ' + parentTxid + ':' + vout)
+  const child = await btcPay.cpfp({ txid: parentTxid, vout, targetFeeRate })
+  const eChild = await btcPay.provider._getTransaction(child.txid)
+  t.ok(eChild.vin.length === 1, 'child has one input')
+  t.ok(eChild.vin[0].txid === parentTxid && eChild.vin[0].vout === vout, 'child spends parent output')
+
+  const parentTx = await btcPay.provider.getTransaction(parentTxid, { cache: false })
+  const packageFee = +parentTx.fee.toBaseUnit() + child.fee
+  const packageRate = packageFee / (parentTx.vsize + eChild.vsize)
+  t.ok(packageRate >= targetFeeRate, 'package fee rate meets target: ' + packageRate)
+
+  try {
+    await btcPay.cpfp({ txid: parentTxid, vout, targetFeeRate })
+    t.fail('should not spend output twice')
+  } catch (err) {
+    t.ok(err.message.includes('Output not found or already spent'), 'spent output is rejected')
+  }
+  await btcPay.destroy()
+})
+
+test.test('batch payment: send to many recipients in one transaction', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const outputs = []
+  for (let i = 0; i < 5; i++) {
+    const { result: nodeAddr } = await regtest.getNewAddress()
+    outputs.push({ address: nodeAddr, amount: 1000 * (i + 1), unit: 'base' })
+  }
+
+  const { attempt: res, sent } = await sendTx(btcPay, { outputs, fee: 5 })
+  const total = outputs.reduce((sum, out) => sum + out.amount, 0)
+  t.ok(new BitcoinCurrency(total, 'base').eq(sent.amount), 'tx entry amount is total of outputs')
+  outputs.forEach((out) => {
+    t.ok(sent.to_address.includes(out.address), 'tx entry lists recipient ' + out.address)
+  })
+
+  const eTx = await btcPay.provider._getTransaction(res.txid)
+  t.ok(eTx.vout.length === outputs.length + 1, 'one output per recipient and one change output')
+  outputs.forEach((out, i) => {
+    const eOut = eTx.vout[i]
+    t.ok(eOut.scriptPubKey.address === out.address, 'output address matches')
+    t.ok(new BitcoinCurrency(eOut.value, 'main').eq(new BitcoinCurrency(out.amount, 'base')), 'output amount matches')
+  })
+  t.ok(eTx.vout.at(-1).scriptPubKey.address === res.changeAddress.address, 'last output is change')
+
+  const invalid = [
+    [[outputs[0], outputs[0]], 'Output 1 (' + outputs[0].address + '): duplicate address'],
+    [[outputs[0], { address: outputs[1].address, amount: 100, unit: 'base' }], 'Output 1 (' + outputs[1].address + '): send amount must be bigger than dust limit'],
+    [[{ address: 'bc1qxls0r5fpxa5chl6jxjsnnz4wf9564eywxye3vf', amount: 1000, unit: 'base' }], 'Output 0 (bc1qxls0r5fpxa5chl6jxjsnnz4wf9564eywxye3vf): invalid address for network']
+  ]
+  for (const [outs, msg] of invalid) {
+    try {
+      await sendTx(btcPay, { outputs: outs, fee: 5 })
+      t.fail('should have thrown: ' + msg)
+    } catch (err) {
+      t.ok(err.message.includes(msg), msg)
+    }
+  }
+  await btcPay.destroy()
+})
+
+test.test('coin control: spend selected utxo and skip frozen utxo', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const funding = []
+  for (const amount of [0.01, 0.02, 0.03]) {
+    const { result: txid } = await regtest.sendToAddress({ address: addr.address, amount })
+    await btcPay._onNewTx()
+    const eTx = await btcPay.provider._getTransaction(txid)
+    const vout = eTx.vout.find((out) => out.scriptPubKey.address === addr.address).n
+    funding.push(txid + ':' + vout)
+  }
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  t.comment('spend exactly one selected utxo')
+  const { attempt: manual } = await sendTx(btcPay, { address: nodeAddr, amount: 0.015, unit: 'main', fee: 5, utxos: [funding[1]] })
+  t.alike(manual.utxo.map((u) => u.txid + ':' + u.index), [funding[1]], 'only selected utxo is spent')
+
+  try {
+    await sendTx(btcPay, { address: nodeAddr, amount: 0.02, unit: 'main', fee: 5, utxos: [funding[0]] })
+    t.fail('should fail when selected utxo do not cover amount')
+  } catch (err) {
+    t.ok(err.message.includes('Selected utxo are not enough'), 'selected utxo must cover amount and fee')
+  }
+
+  t.comment('freeze utxo')
+  await btcPay.freezeUtxo(funding[2])
+  try {
+    await sendTx(btcPay, { address: nodeAddr, amount: 0.001, unit: 'main', fee: 5, utxos: [funding[2]] })
+    t.fail('should not spend frozen utxo')
+  } catch (err) {
+    t.ok(err.message.includes('Utxo is frozen'), 'frozen utxo cannot be selected manually')
+  }
+  const { attempt: auto } = await sendTx(btcPay, { address: nodeAddr, amount: 0.005, unit: 'main', fee: 5, coinSelection: 'largest-first' })
+  t.ok(!auto.utxo.some((u) => u.txid + ':' + u.index === funding[2]), 'coin selection skips frozen utxo')
+  t.ok(btcPay._syncManager._unspent.frozen.includes(funding[2]), 'frozen utxo is persisted')
+
+  await btcPay.unfreezeUtxo(funding[2])
+  const { attempt: unfrozen } = await sendTx(btcPay, { address: nodeAddr, amount: 0.001, unit: 'main', fee: 5, utxos: [funding[2]] })
+  t.ok(unfrozen.utxo[0].txid + ':' + unfrozen.utxo[0].index === funding[2], 'unfrozen utxo can be spent')
+  await btcPay.destroy()
+})
+
+test.test('sweep: send entire balance with no change', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.01 })
+  await btcPay._onNewTx()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.02 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const sent = await btcPay.sweep({ address: nodeAddr, feeRate: 5 })
+  const eTx = await btcPay.provider._getTransaction(sent.txid)
+  t.ok(eTx.vin.length === 2, 'all utxo are spent')
+  t.ok(eTx.vout.length === 1, 'no change output')
+  const total = new BitcoinCurrency(0.03, 'main')
+  t.ok(new BitcoinCurrency(eTx.vout[0].value, 'main').add(new BitcoinCurrency(sent.fee, 'base')).eq(total), 'fee is subtracted from amount')
+  t.ok(sent.fee >= eTx.vsize * 5, 'fee is paid for real vsize')
+
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  try {
+    await btcPay.sweep({ address: nodeAddr, feeRate: 5 })
+    t.fail('should fail with no funds')
+  } catch (err) {
+    t.ok(err.message.includes('Insufficient funds'), 'empty wallet cannot be swept')
+  }
+  t.exception(() => btcPay.sweep(), /Address is required/, 'sweep needs an address')
+  await btcPay.destroy()
+})
+
+test.test('estimateTransaction: dry run matches sent transaction', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const data = { address: nodeAddr, amount: 0.02, unit: 'main', fee: 10 }
+  const est = await btcPay.estimateTransaction(data)
+  t.ok(est.vSize > 0, 'vsize is estimated')
+  t.ok(est.fee === est.vSize * data.fee, 'fee is vsize times fee rate')
+  t.ok(est.inputs.length === 1, 'inputs are listed')
+  t.ok(new BitcoinCurrency(0.1, 'main').minus(new BitcoinCurrency(data.amount, 'main')).minus(new BitcoinCurrency(est.fee, 'base')).eq(est.change), 'change amount is correct')
+  t.ok(est.changeDropped === false, 'change is not dropped')
+
+  const utxos = await btcPay.getUtxos({ includeLocked: true })
+  t.ok(utxos.every((u) => !u.locked), 'utxo are released after estimate')
+
+  const { attempt } = await sendTx(btcPay, data)
+  t.ok(attempt.vSize === est.vSize, 'estimated vsize matches sent tx')
+  t.ok(attempt.fee === est.fee, 'estimated fee matches sent tx')
+  await btcPay.destroy()
+})
+
+test.test('estimateTransaction: keeps utxo locks of a send in progress', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.05 })
+  await btcPay._onNewTx()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.05 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  t.comment('hold the send before broadcasting, while its utxo are locked')
+  const { provider } = btcPay
+  const broadcast = provider.broadcastTransaction.bind(provider)
+  let release
+  const held = new Promise((resolve) => {
+    provider.broadcastTransaction = async (hex) => {
+      resolve()
+      await new Promise((resolve) => { release = resolve })
+      return broadcast(hex)
+    }
+  })
+  const data = { address: nodeAddr, amount: 0.02, unit: 'main', fee: 10 }
+  const sending = btcPay.sendTransaction({}, data)
+  await held
+
+  await t.exception(btcPay.estimateTransaction(data), /tx in progress/, 'estimate fails while a send is in progress')
+  const locked = (await btcPay.getUtxos({ includeLocked: true })).filter((u) => u.locked)
+  t.ok(locked.length === 1, 'utxo of the send stay locked')
+  await t.exception(sendTx(btcPay, data), /tx in progress/, 'another send cannot select the locked utxo')
+
+  provider.broadcastTransaction = broadcast
+  release()
+  const sent = await sending
+  const eTx = await btcPay.provider._getTransaction(sent.txid)
+  t.ok(eTx.vin.length === 1, 'send spends the utxo it locked')
+  await btcPay.destroy()
+})
+
+test.test('broadcast timeout: utxo are released for the next send', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.05 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  t.comment('provider does not answer the broadcast in time')
+  const { provider } = btcPay
+  const broadcast = provider.broadcastTransaction.bind(provider)
+  provider.broadcastTransaction = async () => {
+    throw new provider.constructor.RequestTimeoutError('blockchain.transaction.broadcast', 50)
+  }
+  const data = { address: nodeAddr, amount: 0.02, unit: 'main', fee: 10 }
+  await t.exception(sendTx(btcPay, data), /failed to broadcast tx/, 'send fails when broadcast times out')
+  const utxos = await btcPay.getUtxos({ includeLocked: true })
+  t.ok(utxos.every((u) => !u.locked), 'utxo are released')
+
+  provider.broadcastTransaction = broadcast
+  const { sent } = await sendTx(btcPay, data)
+  t.ok(sent.txid, 'next send is not blocked by the failed one')
+  await btcPay.destroy()
+})
+
+test.test('subtractFeeFromAmount: recipients pay the fee', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const { attempt: single, sent } = await sendTx(btcPay, { address: nodeAddr, amount: 10000, unit: 'base', fee: 5, subtractFeeFromAmount: true })
+  let eTx = await btcPay.provider._getTransaction(single.txid)
+  const out = eTx.vout.find((vout) => vout.scriptPubKey.address === nodeAddr)
+  t.ok(new BitcoinCurrency(out.value, 'main').toBaseUnit() === String(10000 - single.fee), 'recipient output is reduced by fee')
+  t.ok(+single.totalSpent.toBaseUnit() === 10000, 'total spent is the amount')
+  t.ok(+sent.amount.toBaseUnit() === 10000 - single.fee, 'tx entry amount is what recipient gets')
+
+  const outputs = []
+  for (let i = 0; i < 3; i++) {
+    const { result: nodeAddr } = await regtest.getNewAddress()
+    outputs.push({ address: nodeAddr, amount: 10000, unit: 'base' })
+  }
+  const { attempt: batch } = await sendTx(btcPay, { outputs, fee: 5, subtractFeeFromAmount: [0, 2] })
+  eTx = await btcPay.provider._getTransaction(batch.txid)
+  const values = outputs.map((o) => +new BitcoinCurrency(eTx.vout.find((v) => v.scriptPubKey.address === o.address).value, 'main').toBaseUnit())
+  t.ok(values[1] === 10000, 'output not chosen keeps full amount')
+  t.ok(values[0] + values[2] === 20000 - batch.fee, 'chosen outputs pay the fee')
+
+  try {
+    await sendTx(btcPay, { outputs, fee: 5, subtractFeeFromAmount: [3] })
+    t.fail('should reject invalid output index')
+  } catch (err) {
+    t.ok(err.message.includes('Invalid output index for subtractFeeFromAmount: 3'), 'invalid index is rejected')
+  }
+  await btcPay.destroy()
+})
+
+test.test('subtractFeeFromAmount: forward a whole utxo with no change', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet with a single utxo')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.01 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const { attempt } = await sendTx(btcPay, { address: nodeAddr, amount: 0.01, unit: 'main', fee: 5, subtractFeeFromAmount: true })
+  const eTx = await btcPay.provider._getTransaction(attempt.txid)
+  t.ok(eTx.vin.length === 1, 'spends only the deposit')
+  t.ok(eTx.vout.length === 1, 'no change output')
+  t.ok(new BitcoinCurrency(eTx.vout[0].value, 'main').toBaseUnit() === String(1000000 - attempt.fee), 'recipient gets the utxo minus fee')
+  await btcPay.destroy()
+})
+
+test.test('psbt: create, sign offline, finalize and broadcast', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const psbt = await btcPay.createPsbt({ address: nodeAddr, amount: 20000, unit: 'base', fee: 5 })
+  t.ok(typeof psbt === 'string', 'unsigned psbt is base64 string')
+  const utxos = await btcPay.getUtxos({ includeLocked: true })
+  t.ok(utxos.every((u) => !u.locked), 'utxo are released after creating psbt')
+
+  const changeOf = (base64) => {
+    const { txOutputs } = bitcoin.Psbt.fromBase64(base64, { network: bitcoin.networks.regtest })
+    return txOutputs.find((out) => out.address !== nodeAddr).address
+  }
+  const again = await btcPay.createPsbt({ address: nodeAddr, amount: 30000, unit: 'base', fee: 5 })
+  t.ok(changeOf(again) === changeOf(psbt), 'unsigned psbts reuse the change address')
+
+  try {
+    await btcPay.finalizeAndBroadcastPsbt(psbt)
+    t.fail('should not broadcast unsigned psbt')
+  } catch (err) {
+    t.ok(err.message.includes('not signed'), 'unsigned psbt is rejected')
+  }
+
+  const signed = btcPay.keyManager.signPsbt(psbt)
+  const sent = await btcPay.finalizeAndBroadcastPsbt(signed)
+  const eTx = await btcPay.provider._getTransaction(sent.txid)
+  t.ok(eTx.vout.some((vout) => vout.scriptPubKey.address === nodeAddr), 'recipient is paid')
+  const record = await btcPay._syncManager.getSentTx(sent.txid)
+  t.ok(record.changeAddress?.address, 'change output is recognised')
+  t.ok(record.changeAddress.address === changeOf(psbt) && !btcPay._psbtChange, 'next psbt gets a new change address')
+
+  try {
+    await btcPay.finalizeAndBroadcastPsbt(signed)
+    t.fail('should not broadcast spent inputs twice')
+  } catch (err) {
+    t.ok(/locked or spent|not found/.test(err.message), 'spent inputs are rejected')
+  }
+  await btcPay.destroy()
+})
+
+test.test('taproot: receive and spend with p2tr wallet', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new p2tr wallet')
+  const btcPay = await activeWallet({ newWallet: true, addressType: 'p2tr' })
+  const addr = await btcPay.getNewAddress()
+  t.ok(addr.address.startsWith('bcrt1p'), 'taproot address')
+  t.ok(addr.path.startsWith("m/86'"), 'BIP86 path')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await btcPay._onNewTx()
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+  const bal = await btcPay.getBalance()
+  t.ok(bal.confirmed.toNumber() === 10000000, 'taproot output is synced')
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const { attempt } = await sendTx(btcPay, { address: nodeAddr, amount: 0.02, unit: 'main', fee: 5 })
+  const eTx = await btcPay.provider._getTransaction(attempt.txid)
+  t.ok(eTx.vin[0].txinwitness.length === 1, 'key path spend has a single schnorr signature')
+  t.ok(attempt.changeAddress.address.startsWith('bcrt1p'), 'change goes to taproot address')
+  t.ok(attempt.changeAddress.path.startsWith("m/86'"), 'change uses BIP86 path')
+  await btcPay.destroy()
+})
+
+test.test('legacy and nested segwit: sync and spend BIP44 and BIP49 outputs', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet with all address types')
+  const btcPay = await activeWallet({ newWallet: true, addressType: ['p2wpkh', 'p2pkh', 'p2sh-p2wpkh'] })
+  const legacy = btcPay.keyManager.addrFromPath("m/44'/1'/0'/0/0", 'p2pkh')
+  const nested = btcPay.keyManager.addrFromPath("m/49'/1'/0'/0/0", 'p2sh-p2wpkh')
+  await regtest.sendToAddress({ address: legacy.address, amount: 0.01 })
+  await regtest.sendToAddress({ address: nested.address, amount: 0.02 })
+  await regtest.mine(2)
+  await btcPay.syncTransactions()
+
+  const utxos = await btcPay.getUtxos()
+  t.ok(utxos.find((u) => u.address === legacy.address)?.scriptType === 'p2pkh', 'legacy output is synced')
+  t.ok(utxos.find((u) => u.address === nested.address)?.scriptType === 'p2sh-p2wpkh', 'nested segwit output is synced')
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const { attempt } = await sendTx(btcPay, { address: nodeAddr, amount: 0.025, unit: 'main', fee: 5 })
+  const eTx = await btcPay.provider._getTransaction(attempt.txid)
+  t.ok(eTx.vin.length === 2, 'both outputs are spent')
+  t.ok(attempt.changeAddress.path.startsWith("m/84'"), 'change goes to first address type')
+  await btcPay.destroy()
+})
+
+test.test('discoverAccounts: find history on accounts after the first', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const first = btcPay.keyManager.addrFromPath("m/84'/1'/0'/0/0", 'p2wpkh')
+  const second = btcPay.keyManager.addrFromPath("m/84'/1'/1'/0/3", 'p2wpkh')
+  await regtest.sendToAddress({ address: first.address, amount: 0.01 })
+  const taproot = btcPay.keyManager.addrFromPath("m/86'/1'/0'/0/1", 'p2tr')
+  await regtest.sendToAddress({ address: second.address, amount: 0.02 })
+  await regtest.sendToAddress({ address: taproot.address, amount: 0.005 })
+  await regtest.mine(2)
+
+  const accounts = await btcPay.discoverAccounts()
+  t.ok(accounts.length === 3, 'three accounts have history')
+  t.ok(accounts[0].account === 0 && accounts[1].account === 1, 'accounts 0 and 1 are found')
+  t.ok(accounts[1].path === "m/84'/1'/1'", 'account path')
+  t.ok(accounts[2].addressType === 'p2tr' && accounts[2].account === 0, 'account of address type the wallet does not use is found')
+  t.absent(await btcPay._hdWallet.getAddress(second.address), 'address of account 1 is not in the HD wallet of account 0')
+  t.ok((await btcPay._syncManager._getHdAddress(second.address)).path === "m/84'/1'/1'/0/3", 'address of account 1 is kept in its account')
+  const balance = await btcPay.getBalance()
+  t.ok(balance.confirmed.toNumber() === 3500000, 'balance of all accounts')
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const { attempt } = await sendTx(btcPay, { address: nodeAddr, amount: 0.025, unit: 'main', fee: 5 })
+  t.ok(attempt.utxo.some((u) => u.address === second.address), 'output of second account is spent')
+  await btcPay.destroy()
+})
+
+test.test('watch-only: track balance and build unsigned transactions from xpub', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet and a watch-only wallet of its account key')
+  const btcPay = await activeWallet({ newWallet: true })
+  const xpub = btcPay.keyManager.bip32.derivePath("m/84'/1'/0'").neutered().toBase58()
+  const fingerprint = btcPay.keyManager.fingerprint.toString('hex')
+  const watch = await activeWallet({ xpub, fingerprint })
+  t.ok(watch.keyManager.watchOnly, 'key manager is watch-only')
+
+  const addr = await watch.getNewAddress()
+  t.ok(addr.address === btcPay.keyManager.addrFromPath(addr.path, 'p2wpkh').address, 'same address as seed wallet')
+  t.ok(addr.privateKey === null, 'no private key')
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await watch._onNewTx()
+  await regtest.mine(2)
+  await watch._onNewTx()
+  const balance = await watch.getBalance()
+  t.ok(balance.confirmed.toNumber() === 10000000, 'balance is tracked')
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const outgoing = { address: nodeAddr, amount: 0.02, unit: 'main', fee: 5 }
+  const est = await watch.estimateTransaction(outgoing)
+  const psbt = await watch.sendTransaction({}, outgoing)
+  t.ok(typeof psbt === 'string', 'sendTransaction returns unsigned psbt')
+
+  const signed = btcPay.keyManager.signPsbt(psbt)
+  const signedTx = bitcoin.Psbt.fromBase64(signed, { network: bitcoin.networks.regtest }).finalizeAllInputs().extractTransaction()
+  t.ok(est.inputs.length === signedTx.ins.length, 'estimate of watch-only wallet selects the same inputs')
+  t.ok(est.vSize >= signedTx.virtualSize() && est.vSize - signedTx.virtualSize() <= signedTx.ins.length, 'estimated size covers the signatures')
+  const sent = await watch.finalizeAndBroadcastPsbt(signed)
+  const eTx = await watch.provider._getTransaction(sent.txid)
+  t.ok(eTx.vout.some((vout) => vout.scriptPubKey.address === nodeAddr), 'signed psbt is broadcasted by watch-only wallet')
+  await watch.destroy()
+  await btcPay.destroy()
+})
+
+test.test('multisig: estimate and send with signatures of 2 cosigners', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create 2 of 3 multisig wallet with the seed of the first cosigner')
+  const keys = []
+  for (let i = 0; i < 3; i++) {
+    const km = new KeyManager({ seed: await BIP39Seed.generate() })
+    await km.init()
+    keys.push(km)
+  }
+  const cosigners = keys.map((km) => km.accountXpub(MultisigKeyManager.accountPath('regtest')))
+  const [km, cosigner] = [keys[0].seed, keys[1].seed].map((seed) => new MultisigKeyManager({ m: 2, cosigners, seed, network: 'regtest' }))
+  await km.init()
+  await cosigner.init()
+  const btcPay = await activeWallet({ keyManager: km })
+
+  const addr = await btcPay.getNewAddress()
+  await regtest.sendToAddress({ address: addr.address, amount: 0.1 })
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  const outgoing = { address: nodeAddr, amount: 0.02, unit: 'main', fee: 5 }
+  await t.exception(btcPay.sendTransaction({}, outgoing), /use createPsbt/, 'multisig wallet cannot send alone')
+  const est = await btcPay.estimateTransaction(outgoing)
+  const psbt = await btcPay.createPsbt(outgoing)
+  const signed = [btcPay.keyManager.signPsbt(psbt), cosigner.signPsbt(psbt)]
+  const sent = await btcPay.finalizeAndBroadcastPsbt(signed)
+  const eTx = await btcPay.provider._getTransaction(sent.txid)
+  t.ok(est.inputs.length === eTx.vin.length, 'estimate selects the same inputs')
+  t.ok(est.vSize >= eTx.vsize && est.vSize - eTx.vsize <= eTx.vin.length, 'estimated size covers the signatures of 2 cosigners')
+  await btcPay.destroy()
+})
+
+test.test('sweepPrivateKey: move coins of an external key into the wallet', { timeout: 600000 }, async function (t) {
+  const regtest = await regtestNode()
+  t.comment('create new wallet and fund legacy and segwit addresses of an external key')
+  const btcPay = await activeWallet({ newWallet: true })
+  const other = await activeWallet({ newWallet: true })
+  const wif = other.keyManager.exportPrivateKey("m/84'/1'/0'/0/7")
+  const { payments } = btcPay.keyManager.externalKey(wif)
+  const legacy = payments.find((p) => p.addressType === 'p2pkh')
+  const segwit = payments.find((p) => p.addressType === 'p2wpkh')
+  await regtest.sendToAddress({ address: legacy.address, amount: 0.01 })
+  await regtest.sendToAddress({ address: segwit.address, amount: 0.02 })
+  await regtest.mine(1)
+
+  let broadcasted
+  const sweep = btcPay.sweepPrivateKey({ wif, feeRate: 5 })
+  sweep.broadcasted((sent) => { broadcasted = sent })
+  const tx = await sweep
+  t.ok(broadcasted && broadcasted.txid === tx.txid, 'broadcasted hook is called')
+  t.ok(tx.from_address.length === 2, 'both addresses are swept')
+  t.ok(tx.amount.toNumber() + tx.fee === 3000000, 'everything is sent minus fee')
+  await regtest.mine(1)
+  await btcPay._onNewTx()
+  const balance = await btcPay.getBalance()
+  t.ok(balance.confirmed.toNumber() === tx.amount.toNumber(), 'swept coins are in the wallet')
+  const addresses = (await btcPay._hdWallet.getAllAddress()).length
+  await t.exception(btcPay.sweepPrivateKey({ wif, feeRate: 5 }), /No unspent outputs/, 'nothing left to sweep')
+  t.is((await btcPay._hdWallet.getAllAddress()).length, addresses, 'no new address is taken when there is nothing to sweep')
+  await other.destroy()
+  await btcPay.destroy()
+})
+
 //
 //
 // Uncomment the transaction below to keep doing TX
@@ -13,6 +13,7 @@
 // limitations under the License.
 const test = require('brittle')
 const assert = require('assert')
+const bitcoin = require('bitcoinjs-lib')
 const Key = require('../src/wallet-key-btc')
 const Bip39Seed = require('wallet-seed-bip39')
 
@@ -66,6 +67,94 @@ test('script hash and path generation  for BIP84 p2wpkh', async (t) => {
   })
 })
 
+test('address generation for BIP86 p2tr', async (t) => {
+  // LINK: https://github.com/bitcoin/bips/blob/master/bip-0086.mediawiki
+  const seed = await Bip39Seed.generate('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about')
+  const k = new Key({
+    seed
+  })
+  await k.init()
+  k.setNetwork('bitcoin')
+  const vectors = [
+    ["m/86'/0'/0'/0/0", 'bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr'],
+    ["m/86'/0'/0'/0/1", 'bc1p4qhjn9zdvkux4e44uhx8tc55attvtyu358kutcqkudyccelu0was9fqzwh'],
+    ["m/86'/0'/0'/1/0", 'bc1p3qkhfews2uk44qtvauqyr2ttdsw7svhkl9nkm9s9c3x4ax5h60wqwruhk7']
+  ]
+  vectors.forEach(([path, addr]) => {
+    const res = k.pathToScriptHash(path, 'p2tr')
+    t.ok(res.addr.address === addr, 'Address matches ' + path)
+    t.ok(res.addr.path === path, 'path matches ' + path)
+  })
+})
+
+test('address generation for BIP44 p2pkh and BIP49 p2sh-p2wpkh', async (t) => {
+  // LINK: https://github.com/bitcoin/bips/blob/master/bip-0049.mediawiki
+  const seed = await Bip39Seed.generate('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about')
+  const k = new Key({
+    seed
+  })
+  await k.init()
+  k.setNetwork('bitcoin')
+  t.ok(k.addrFromPath("m/44'/0'/0'/0/0", 'p2pkh').address === '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA', 'BIP44 first receive address')
+  k.setNetwork('testnet')
+  t.ok(k.addrFromPath("m/49'/1'/0'/0/0", 'p2sh-p2wpkh').address === '2Mww8dCYPUpKHofjgcXcBCEGmniw9CoaiD2', 'BIP49 first receive address')
+})
+
+test('watch-only key from zpub', async (t) => {
+  // LINK: https://github.com/bitcoin/bips/blob/master/bip-0084.mediawiki
+  const k = new Key({
+    xpub: 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs',
+    fingerprint: '73c5da0a',
+    network: 'bitcoin'
+  })
+  await k.init()
+  t.ok(k.watchOnly, 'key manager is watch-only')
+  t.ok(k.addressType === 'p2wpkh', 'address type from zpub prefix')
+  t.ok(k.fingerprint.toString('hex') === '73c5da0a', 'master fingerprint')
+  const addr = k.addrFromPath("m/84'/0'/0'/0/0", 'p2wpkh')
+  t.ok(addr.address === 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', 'first receive address')
+  t.ok(addr.privateKey === null, 'no private key')
+  t.exception(() => k.addrFromPath("m/84'/0'/1'/0/0", 'p2wpkh'), 'path of another account')
+  t.exception(() => k.signPsbt(''), 'cannot sign')
+})
+
+test('sign psbt inputs of this seed', async (t) => {
+  const seed = await Bip39Seed.generate(phrase)
+  const k = new Key({ seed, network: 'bitcoin' })
+  await k.init()
+  const network = bitcoin.networks.bitcoin
+  const psbt = new bitcoin.Psbt({ network })
+  paths.slice(0, 2).forEach(([path, address, pk], index) => {
+    psbt.addInput({
+      hash: 'aa'.repeat(32),
+      index,
+      witnessUtxo: { script: bitcoin.address.toOutputScript(address, network), value: 10000 },
+      // @desc: second input belongs to another signer
+      bip32Derivation: [{ masterFingerprint: index === 0 ? k.fingerprint : Buffer.from('00000000', 'hex'), path, pubkey: Buffer.from(pk, 'hex') }]
+    })
+  })
+  psbt.addOutput({ address: paths[2][1], value: 15000 })
+
+  const signed = bitcoin.Psbt.fromBase64(k.signPsbt(psbt.toBase64()))
+  t.ok(signed.data.inputs[0].partialSig?.length === 1, 'input of this seed is signed')
+  t.absent(signed.data.inputs[1].partialSig, 'input of another signer is skipped')
+
+  psbt.data.inputs[0].bip32Derivation[0].pubkey = Buffer.from(paths[1][2], 'hex')
+  t.exception(() => k.signPsbt(psbt.toBase64()), /pubkey did not match/, 'error of an input of this seed is thrown')
+})
+
+test('hardened key mode', async (t) => {
+  const seed = await Bip39Seed.generate(phrase)
+  const k = new Key({ seed, network: 'bitcoin', hardened: true })
+  await k.init()
+  const [path, address, pk, wif] = paths[0]
+  const addr = k.addrFromPath(path, 'p2wpkh')
+  t.ok(addr.address === address && addr.publicKey === pk, 'address and public key match')
+  t.ok(!('privateKey' in addr), 'address has no private key')
+  t.ok(k.exportPrivateKey(path) === wif, 'exported private key matches')
+  t.ok(k.exportPrivateKey(path) === wif, 'private key can be exported again after wipe')
+})
+
 test('WalletKeyBitcoin - setSeed', (t) => {
   const walletKey = new Key()
 
@@ -0,0 +1,107 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+const test = require('brittle')
+const bitcoin = require('bitcoinjs-lib')
+const Key = require('../src/wallet-key-btc')
+const MultisigKey = require('../src/wallet-key-multisig')
+const Bip39Seed = require('wallet-seed-bip39')
+
+const phrases = [
+  'case maple example runway derive original nose office sunset end daring valve',
+  'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+  'legal winner thank year wave sausage worth useful legal winner thank yellow'
+]
+const ACCOUNT_PATH = "m/48'/1'/0'/2'"
+
+async function cosignerSetup () {
+  const seeds = []
+  const cosigners = []
+  for (const phrase of phrases) {
+    const seed = await Bip39Seed.generate(phrase)
+    const k = new Key({ seed, network: 'regtest' })
+    await k.init()
+    seeds.push(seed)
+    cosigners.push(k.accountXpub(ACCOUNT_PATH))
+  }
+  return { seeds, cosigners }
+}
+
+async function multisigKey (cosigners, seed) {
+  const k = new MultisigKey({ m: 2, cosigners, seed, network: 'regtest' })
+  await k.init()
+  return k
+}
+
+test('multisig key - 2 of 3 p2wsh addresses', async (t) => {
+  const { seeds, cosigners } = await cosignerSetup()
+  const keys = [await multisigKey(cosigners, seeds[0]), await multisigKey(cosigners.slice().reverse())]
+  const path = "m/48'/1'/0'/0/3"
+  const res = keys[0].pathToScriptHash(path)
+  t.ok(res.addr.address.startsWith('bcrt1q') && res.addr.address.length === 64, 'p2wsh address')
+  t.ok(res.addr.address === keys[1].addrFromPath(path).address, 'order of cosigners does not change the address')
+  t.ok(res.hash === keys[1].addressToScriptHash(res.addr.address), 'script hash matches')
+  t.ok(res.addr.privateKey === null, 'no private key in address')
+  const { m, pubkeys } = bitcoin.payments.p2ms({ output: Buffer.from(res.addr.witnessScript, 'hex') })
+  t.ok(m === 2 && pubkeys.length === 3, '2 of 3 witness script')
+  t.ok(keys[0].descriptor(0).startsWith('wsh(sortedmulti(2,['), 'receive descriptor')
+  await t.exception(multisigKey(cosigners, await Bip39Seed.generate('zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong')), 'seed must be of a cosigner')
+})
+
+test('multisig key - BIP48 paths', async (t) => {
+  const { cosigners } = await cosignerSetup()
+  t.is(MultisigKey.accountPath('regtest'), ACCOUNT_PATH, 'account path of P2WSH multisig')
+  t.is(MultisigKey.accountPath('bitcoin', 1), "m/48'/0'/1'/2'", 'mainnet account path')
+  const k = await multisigKey(cosigners)
+  t.is(k.addrFromPath("m/48'/1'/0'/2'/0/3").address, k.addrFromPath("m/48'/1'/0'/0/3").address, 'BIP48 path and wallet path are the same address')
+  t.alike(k.derivation("m/48'/1'/0'/1/2").bip32Derivation.map(({ path }) => path), Array(3).fill(ACCOUNT_PATH + '/1/2'), 'keys are derived at BIP48 paths')
+  const legacy = cosigners.map((c) => ({ ...c, path: "m/48'/1'/0'" }))
+  await t.exception(multisigKey(legacy), /BIP48 P2WSH account path/, 'cosigner path without script type')
+})
+
+test('multisig key - reject key depth not matching path and duplicate cosigners', async (t) => {
+  const { seeds, cosigners } = await cosignerSetup()
+  const k = new Key({ seed: seeds[0], network: 'regtest' })
+  await k.init()
+  const { xpub } = k.accountXpub("m/48'/1'/0'")
+  await t.exception(multisigKey([{ ...cosigners[0], xpub }, ...cosigners.slice(1)]), /does not match cosigner path/, 'xpub of another depth')
+  await t.exception(multisigKey([cosigners[0], cosigners[1], cosigners[0]]), /Cosigner 2 is the same as cosigner 0/, 'same cosigner twice')
+  const other = k.accountXpub("m/48'/1'/1'/2'")
+  await t.exception(multisigKey([cosigners[0], cosigners[1], other]), /Cosigner 2 is the same as cosigner 0/, 'two accounts of the same seed')
+})
+
+test('multisig key - cosigners sign a PSBT separately', async (t) => {
+  const { seeds, cosigners } = await cosignerSetup()
+  const keys = [await multisigKey(cosigners, seeds[0]), await multisigKey(cosigners, seeds[2]), await multisigKey(cosigners)]
+  const path = "m/48'/1'/0'/0/0"
+  const { address } = keys[2].addrFromPath(path)
+  const network = bitcoin.networks.regtest
+  const psbt = new bitcoin.Psbt({ network })
+  psbt.addInput({
+    hash: 'aa'.repeat(32),
+    index: 0,
+    witnessUtxo: { script: bitcoin.address.toOutputScript(address, network), value: 100000 },
+    ...keys[2].derivation(path)
+  })
+  psbt.addOutput({ address, value: 90000 })
+
+  t.exception(() => keys[2].signPsbt(psbt.toBase64()), 'no seed to sign with')
+  const signed = keys.slice(0, 2).map((k) => bitcoin.Psbt.fromBase64(k.signPsbt(psbt.toBase64())))
+  t.exception(() => signed[0].clone().finalizeAllInputs(), 'one signature is not enough')
+  const tx = signed[0].combine(signed[1]).finalizeAllInputs().extractTransaction()
+  t.ok(tx.ins[0].witness.length === 4, 'witness has 2 signatures and witness script')
+
+  const own = psbt.data.inputs[0].bip32Derivation.find((d) => d.masterFingerprint.equals(keys[0].fingerprint))
+  own.path = own.path.replace(/\/0$/, '/1')
+  t.exception(() => keys[0].signPsbt(psbt.toBase64()), /pubkey did not match/, 'error signing an input of this cosigner is thrown')
+})
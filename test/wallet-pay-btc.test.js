@@ -572,6 +572,60 @@ test('import seed with balance', async (t) => {
   await btcPay2.destroy()
 })
 
+test('getUtxos', async (t) => {
+  const regtest = await regtestNode()
+  t.comment('create new wallet')
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr1 = await btcPay.getNewAddress()
+  const addr2 = await btcPay.getNewAddress()
+  const amount = 0.01
+
+  await regtest.sendToAddress({ address: addr1.address, amount })
+  await btcPay._onNewTx()
+  let utxos = await btcPay.getUtxos()
+  t.ok(utxos.length === 1, 'mempool utxo is listed')
+  t.ok(utxos[0].state === 'mempool', 'utxo state is mempool')
+  t.ok(utxos[0].confirmations === 0, 'mempool utxo has no confirmations')
+  t.ok(utxos[0].address === addr1.address, 'utxo address matches')
+  t.ok(utxos[0].path === addr1.path, 'utxo path matches')
+  t.ok(utxos[0].value.eq(new BitcoinCurrency(amount, 'main')), 'utxo value matches')
+  t.ok(!utxos[0].locked && !utxos[0].frozen, 'utxo is not locked or frozen')
+
+  await regtest.mine(2)
+  await btcPay._onNewTx()
+  await regtest.sendToAddress({ address: addr2.address, amount })
+  await btcPay._onNewTx()
+
+  utxos = await btcPay.getUtxos({ minConf: 1 })
+  t.ok(utxos.length === 1, 'minConf filters unconfirmed utxo')
+  t.ok(utxos[0].confirmations >= 2, 'confirmations are counted')
+  t.ok(utxos[0].state === 'confirmed', 'utxo state is confirmed')
+
+  utxos = await btcPay.getUtxos({ address: addr2.address })
+  t.ok(utxos.length === 1 && utxos[0].address === addr2.address, 'address filter works')
+
+  await btcPay.freezeUtxo(utxos[0].point)
+  utxos = await btcPay.getUtxos({ address: addr2.address })
+  t.ok(utxos[0].frozen, 'frozen state is listed')
+  await btcPay.destroy()
+})
+
+test('signMessage and verifyMessage', async (t) => {
+  const regtest = await regtestNode()
+  const btcPay = await activeWallet({ newWallet: true })
+  const addr = await btcPay.getNewAddress()
+  const message = 'proof of ownership'
+
+  for (const format of ['legacy', 'bip322']) {
+    const signature = await btcPay.signMessage({ address: addr.address, message, format })
+    t.ok(await btcPay.verifyMessage({ address: addr.address, message, signature }), format + ' signature is valid')
+    t.absent(await btcPay.verifyMessage({ address: addr.address, message: message + '!', signature }), format + ' signature of other message is invalid')
+  }
+  const { result: nodeAddr } = await regtest.getNewAddress()
+  await t.exception(btcPay.signMessage({ address: nodeAddr, message }), 'address not in wallet')
+  await btcPay.destroy()
+})
+
 test('bip84 test vectors', async function (t) {
   // LINK: https://github.com/bitcoin/bips/blob/master/bip-0084.mediawiki
   const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'